@@ -1,5 +1,6 @@
 /**
  * @fileOverview This file contains a TreeJS class.
+ * It requires TreeModel.js to be loaded first.
  * @author <a href="mailto:sklyanchuk@gmail.com">Oleg Sklyanchuk</a>
  * @version 0.3.2
  * @license MIT License
@@ -26,12 +27,21 @@ function TreeJS(template, dataset) {
     this.DIR_SEPARATOR = '/';
     
     /**
-     * Holds the tree dataset.
+     * The DOM-free tree model which owns nodes, hierarchy, sorting, expansion state and selection.
+     * This object is a renderer subscribed to the model's change notifications.
+     * @type {TreeModel}
+     * @private
+     */
+    
+    this.model = new TreeModel();
+    
+    /**
+     * Holds the tree dataset (a reference to the model's dataset).
      * @type {Object}
      * @private
      */
     
-    this.data = {};
+    this.data = this.model.data;
     
     /**
      * An associative array of DOM nodes, each containing either a leaf or a folder.
@@ -42,20 +52,108 @@ function TreeJS(template, dataset) {
     this.nodes = {};
     
     /**
-     * Defines a sequence of nodes within the TreeJS HTML structure.
+     * Lists all currently selected nodes and leaves (a reference to the model's selection).
      * @type {Array}
      * @private
      */
     
-    this.nodeSequence = [];
-
+    this.selection = this.model.selection;
+    
+    /**
+     * Custom CSS class names of rows, supplied with the "__className" field of node data.
+     * @type {Object}
+     * @private
+     */
+    
+    this.rowClassNames = {};
+    
+    /**
+     * A scrollable container of the table (virtual trees only).
+     * @type {Object}
+     * @private
+     */
+    
+    this.viewportNode = null;
+    
     /**
-     * Lists all currently selected nodes and leaves.
+     * A cached sequence of visible nodes (virtual trees only).
      * @type {Array}
      * @private
      */
     
-    this.selection = [];
+    this.visibleSequence = null;
+    
+    /**
+     * IDs of folders opened or closed within the current batch (non-virtual trees only).
+     * @type {Object}
+     * @private
+     */
+    
+    this.toggledBranches = null;
+    
+    /**
+     * The state of a drag in progress (drag-and-drop trees only).
+     * @type {Object}
+     * @private
+     */
+    
+    this.dragState = null;
+    
+    /**
+     * An ID of the node which has the keyboard focus (the roving tab stop).
+     * @type {String}
+     * @private
+     */
+    
+    this.focusedNodeId = null;
+    
+    /**
+     * An ID of the node where range selections (Shift + click or Shift + Arrow) start.
+     * @type {String}
+     * @private
+     */
+    
+    this.selectionAnchorId = null;
+    
+    /**
+     * The cell being edited: {nodeId, columnId, inputNode}; Null if none.
+     * @type {Object}
+     * @private
+     */
+    
+    this.editState = null;
+    
+    /**
+     * A scroll position which waits until the tree has rows to be restored (see .setViewState()); Null if none.
+     * @type {Number}
+     * @private
+     */
+    
+    this.pendingScrollTop = null;
+    
+    /**
+     * Set when the view state changes within a batch, so that it is saved once, when the batch ends.
+     * @type {Boolean}
+     * @private
+     */
+    
+    this.isViewStateDirty = false;
+    
+    /**
+     * A timer of a postponed view state save (scrolling is saved once it stops).
+     * @type {Number}
+     * @private
+     */
+    
+    this.viewStateTimer = null;
+    
+    /**
+     * The element the tree is appended to and its scroll handler: {node, handler}; Null if none.
+     * @type {Object}
+     * @private
+     */
+    
+    this.scrollListener = null;
     
     /**
      * A tree header object container.
@@ -64,6 +162,14 @@ function TreeJS(template, dataset) {
      */
     
     this.header = null;
+    
+    /**
+     * Event handlers subscribed with .on(), keyed by event name.
+     * @type {Object}
+     * @private
+     */
+    
+    this.listeners = {};
 
     /**
      * A current and default templates.
@@ -75,9 +181,20 @@ function TreeJS(template, dataset) {
         className: 'TreeJS',
         sortColumn: 'name',
         sortOrder: 'asc',
+        sortSpec: [{column: 'name', order: 'asc'}],
+        virtual: false,
+        rowHeight: 25,
+        viewportHeight: 400,
+        overscan: 10,
+        dragAndDrop: false,
+        autoExpandDelay: 700,
+        selectionMode: 'highlight',
         columns: {}
     };
     
+    // Render model changes as they happen:
+    this._bindModel();
+    
     // Attempt to set tree template if it's available:
     if (template && this.setTemplate(template)) {
         
@@ -90,21 +207,100 @@ function TreeJS(template, dataset) {
     }
 }
 
+/**
+ * Subscribes to a tree event.
+ * 
+ * Events are fired after the tree has been rendered accordingly:
+ *  - nodeAdded (nodeId, nodeData)
+ *  - nodeUpdated (nodeId, changedColumns)
+ *  - nodeRemoved (nodeId)
+ *  - nodeMoved (nodeId, newNodeId) - moved or renamed
+ *  - branchOpened (nodeId)
+ *  - branchClosed (nodeId)
+ *  - sorted (columnId, sortOrder, sortSpec) - the primary key and all keys
+ *  - filtered (criteria) - a filter has been applied; Null when it has been cleared
+ *  - selectionChanged (selection)
+ *  - checkedChanged () - nodes have been checked or unchecked (see .getChecked())
+ *  - headerClicked (columnId, event)
+ *  - nodeActivated (nodeId) - Enter or double click
+ *  - cellEdited (nodeId, columnId, oldValue, newValue) - an inline edit has been committed
+ *  - error (error) - a TreeJSError
+ * 
+ * Cancelable events are fired before the action, so nothing is rendered if the action is vetoed.
+ * Their handlers receive a single event object and can veto the action
+ * by returning false or by calling event.preventDefault():
+ *  - beforeBranchOpen ({nodeId})
+ *  - beforeBranchClose ({nodeId})
+ *  - beforeSort ({columnId, sortOrder, sortSpec})
+ *  - beforeSelectionChange ({action, nodeId, lastNodeId})
+ *  - beforeNodeRemove ({nodeId})
+ * 
+ * Handlers are invoked in the context of the tree.
+ * 
+ * @param {String} eventName A name of the event to subscribe to.
+ * @param {Function} handler A function to invoke when the event is fired.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype.on = TreeModel.emitterMethods.on;
+
+/**
+ * Subscribes to a tree event for a single notification only.
+ * 
+ * @param {String} eventName A name of the event to subscribe to.
+ * @param {Function} handler A function to invoke once.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype.once = TreeModel.emitterMethods.once;
+
+/**
+ * Unsubscribes a handler from a tree event.
+ * 
+ * @param {String} eventName A name of the event to unsubscribe from.
+ * @param {Function} [handler] A previously subscribed function. If omitted, all handlers of the event are removed.
+ * @returns {Boolean} TRUE if the handler has been found and removed; FALSE otherwise.
+ */
+
+TreeJS.prototype.off = TreeModel.emitterMethods.off;
+
+/**
+ * Notifies subscribers about a tree event.
+ * 
+ * @private
+ * @param {String} eventName A name of the event.
+ * @param {Mixed} [...] Arguments to pass to the handlers.
+ * @returns {Boolean} FALSE if at least one handler returned false; TRUE otherwise.
+ */
+
+TreeJS.prototype._emit = TreeModel.emitterMethods._emit;
+
 /**
  * Default onError function.
  * 
- * Logs error message to console (if available).
- * Suggested use is to override this function
- * with your own error handling procedure.
+ * Passes the error on to the "error" subscribers,
+ * or logs it to console (if available) when there are none.
+ * In strict mode (template.strict) the error is thrown afterwards,
+ * unless it has been raised while the model has applied an asynchronous result
+ * (e.g. lazily loaded children), since there is no caller to catch it then.
  * 
- * @param {String} msg A message to log.
+ * @param {TreeJSError} error An error to report.
  * @returns {Void}
+ * @throws {TreeJSError} In strict mode.
  */
 
-TreeJS.prototype.onError = function(msg) {
+TreeJS.prototype.onError = function(error) {
+    
+    var isThrown = this.template.strict && !this.model.asyncDepth;
     
-    if (window.console) {
-        console.log(msg);
+    if (this.listeners['error'] && this.listeners['error'].length) {
+        this._emit('error', error);
+    } else if (window.console && !isThrown) {
+        console.log(error);
+    }
+    
+    if (isThrown) {
+        throw error;
     }
     
 }
@@ -112,8 +308,7 @@ TreeJS.prototype.onError = function(msg) {
 /**
  * Default onSelectionChange function.
  * 
- * Suggested use is to override this function
- * with your own selection change procedure.
+ * Kept for backward compatibility, subscribe to the "selectionChanged" event instead.
  * 
  * @param {Array} selection A list of selected nodes.
  * @returns {Void}
@@ -128,7 +323,26 @@ TreeJS.prototype.onSelectionChange = function(selection) {}
  *    @param {String} [template.className] A CSS class name of the TreeJS html object.
  *    @param {String} [template.sortColumn] An ID of a column by which to sort the tree.
  *    @param {String} [template.sortOrder] A column's sort order. Can be either 'asc' or 'desc'.
- *    @param {String} [template.columns] A column's sort order. Can be either 'asc' or 'desc'.
+ *    @param {Array} [template.sortSpec] Sort keys in order of priority: [{column, order}, ...] (overrides the two above).
+ *    @param {String|Array} [template.locale] Locale(s) of the natural string ordering (the default locale if omitted).
+ *    @param {String} [template.sensitivity] String ordering sensitivity: 'base', 'accent' (default), 'case' or 'variant'.
+ *    @param {Object} template.columns Column definitions keyed by column ID, each with optional settings:
+ *        title, defaultValue, noEscape, type, empty, aggregate, compare(a, b, rowA, rowB), format(value, row),
+ *        render(value, row, nodeId), editable and validate(value, nodeId).
+ *    @param {Boolean} [template.virtual] If set to True - only rows within the viewport are rendered.
+ *    @param {Number} [template.rowHeight] Row height in pixels (virtual trees only; must match the CSS).
+ *    @param {Number} [template.viewportHeight] Viewport height in pixels (virtual trees only).
+ *    @param {Number} [template.overscan] Number of rows rendered above and below the viewport (virtual trees only).
+ *    @param {Function} [template.loadChildren] Loads children of "__lazy" folders: function(nodeId, callback) returning a Promise or calling callback(error, dataset).
+ *    @param {Integer} [template.initialExpandLevel] Folders less deep than that are open when added (zero by default).
+ *    @param {Boolean} [template.strict] If set to True - errors are thrown instead of being only reported.
+ *    @param {String} [template.selectionMode] 'highlight' (default) or 'checkbox' - the name cells get tri-state checkboxes. See .check().
+ *    @param {Boolean} [template.dragAndDrop] If set to True - rows can be dragged onto folders.
+ *    @param {Number} [template.autoExpandDelay] Milliseconds of hovering before a closed folder opens during a drag.
+ *    @param {Function} [template.canDrop] Decides if nodes can be dropped: function(sourceIds, targetFolderId) returning a Boolean.
+ *    @param {Function} [template.onDrop] Called on drop: function(sourceIds, targetFolderId); returning false prevents moving the nodes.
+ *    @param {String} [template.stateKey] If set - the view state is saved under that key as it changes, and restored. See .getViewState().
+ *    @param {Object} [template.stateStorage] Where the view state is saved: {getItem(key), setItem(key, value)} (localStorage by default).
  * @returns {Boolean} True on success; False on failure.
  */
 
@@ -136,7 +350,7 @@ TreeJS.prototype.setTemplate = function(template) {
     
     // The template variable type must be a non-null Object:
     if (typeof template != 'object' || template == null) {
-        this.onError('Unable to set template. Template variable type is invalid.');
+        this.onError(new TreeJSError('INVALID_TEMPLATE', 'Unable to set template. Template variable type is invalid.', 'setTemplate', arguments));
         return false;
     }
     
@@ -148,21 +362,47 @@ TreeJS.prototype.setTemplate = function(template) {
         template.className = this.defaultTemplate.className;
     }
     
-    // The .sortColumn parameter must be a String:
-    //  - It's not really an issue if a column with such ID doesn't exist
-    if (typeof template.sortColumn != 'string') {
-        template.sortColumn = this.defaultTemplate.sortColumn;
+    // Older templates spell the noEscape flag in lower case:
+    for (var columnId in template.columns) {
+        if (template.columns[columnId] && template.columns[columnId].noescape !== undefined && template.columns[columnId].noEscape === undefined) {
+            template.columns[columnId].noEscape = !!template.columns[columnId].noescape;
+        }
+    }
+    
+    // Virtual rendering and drag-and-drop settings must be positive numbers:
+    //  - Zero overscan and auto-expand delay are fine
+    var numericSettings = {rowHeight: 1, viewportHeight: 1, overscan: 0, autoExpandDelay: 0};
+    
+    for (var setting in numericSettings) {
+        if (typeof template[setting] != 'number' || !(template[setting] >= numericSettings[setting])) {
+            template[setting] = this.defaultTemplate[setting];
+        }
+    }
+    
+    // The selection mode must be either 'highlight' or 'checkbox':
+    if (!(template.selectionMode in {'highlight': 1, 'checkbox': 1})) {
+        template.selectionMode = this.defaultTemplate.selectionMode;
+    }
+    
+    // The view state is only kept under a non-empty key, in a storage with getItem() and setItem():
+    //  - Without a storage of its own, the tree uses localStorage
+    if (typeof template.stateKey != 'string' || template.stateKey == '') {
+        template.stateKey = null;
     }
     
-    // The .sortOrder parameter must be 'asc' or 'desc' (case-insensitive):
-    //  - I haven't found a way to simulate PHP's in_array() function without an associative array...
-    if (!template.sortOrder || !template.sortOrder.toLowerCase in {'asc':1, 'desc':1}) {
-        template.sortOrder = this.defaultTemplate.sortOrder;
+    if (typeof template.stateStorage != 'object' || template.stateStorage == null
+        || typeof template.stateStorage.getItem != 'function' || typeof template.stateStorage.setItem != 'function') {
+        template.stateStorage = null;
     }
     
-    // The .columns parameter must be a non-null Object:
-    if (typeof template.columns != 'object' || template.columns == null) {
-        template.columns = {}
+    // The view state of an initialized tree outlives the reinitialization:
+    //  - It's restored as soon as the nodes are added once again
+    //  - The sort spec of the new template takes precedence
+    var viewState = this.containerNode ? this.getViewState() : null;
+    
+    // Sorting and column settings are validated by the model:
+    if (!this.model.setTemplate(template)) {
+        return false;
     }
     
     // We can now safely update the tree template:
@@ -170,58 +410,189 @@ TreeJS.prototype.setTemplate = function(template) {
     
     // Setting new template requires reinitialization of tree DOM element structure:
     // (initialization failure doesn't actually mean that setTemplate failed... or it does?)
+    if (!this.init()) {
+        return false;
+    }
+    
+    // Trees with a state key have been restored from the storage already:
+    if (viewState && !template.stateKey) {
+        delete viewState.sortSpec;
+        return this.setViewState(viewState);
+    }
     
-    return this.init();
+    return true;
 }
 
 /**
- * Updates the tree with new data.
+ * Validates a template without modifying it.
  * 
- * @param {Object} newData A valid TreeJS dataset.
- * @returns {Boolean} True on successful update; False on failure.
+ * Reports every problem found, both in the settings of the model (columns, sorting, etc.)
+ * and in the settings of the renderer. Each problem is described as
+ * {code: String, path: String, message: String}.
+ * 
+ * @static
+ * @param {Object} template A template to validate.
+ * @returns {Array} A list of problems; empty if the template is valid.
  */
 
-TreeJS.prototype.update = function(newData) {
+TreeJS.validateTemplate = function(template) {
     
-    // New data must be a non-null object:
-    if (typeof newData != 'object' || newData == null) {
-        this.onError('Unable to update tree with new data. Invalid dataset.');
-        return false;
+    var problems = TreeModel.validateTemplate(template);
+    
+    if (typeof template != 'object' || template == null) {
+        return problems;
     }
     
-    // Must fix missing directories (if any):
-    newData = this.fixMissingDirectoriesInDataset(newData);
+    var stringSettings = ['className', 'defaultLeafType', 'label', 'stateKey'];
     
-    // Iterate through existing node data:
-    //  - Through none if the tree is empty.
-    for (var nodeId in this.data) {
-        
-        // Delete nodes which no longer exist:
-        if (!newData[nodeId]) {
-            
-            // removeNode is recursive, so if the node has children,
-            // they will be removed automatically:
-            this.removeNode(nodeId);
-            
-        } else if (newData[nodeId].toString() != this.data[nodeId].toString()) {
-            
-            // Update node:
-            this.updateNode(nodeId, newData[nodeId]);
-            delete newData[nodeId];
-            
+    for (var i = 0; i < stringSettings.length; i++) {
+        if (template[stringSettings[i]] !== undefined && typeof template[stringSettings[i]] != 'string') {
+            problems.push({code: 'INVALID_TEMPLATE', path: stringSettings[i], message: 'Setting "' + stringSettings[i] + '" must be a string.'});
+        }
+    }
+    
+    var booleanSettings = ['disableHeader', 'virtual', 'dragAndDrop'];
+    
+    for (var i = 0; i < booleanSettings.length; i++) {
+        if (template[booleanSettings[i]] !== undefined && typeof template[booleanSettings[i]] != 'boolean') {
+            problems.push({code: 'INVALID_TEMPLATE', path: booleanSettings[i], message: 'Setting "' + booleanSettings[i] + '" must be a boolean.'});
+        }
+    }
+    
+    // Same limits as in .setTemplate():
+    var numericSettings = {rowHeight: 1, viewportHeight: 1, overscan: 0, autoExpandDelay: 0};
+    
+    for (var setting in numericSettings) {
+        if (template[setting] !== undefined && (typeof template[setting] != 'number' || !(template[setting] >= numericSettings[setting]))) {
+            problems.push({code: 'INVALID_TEMPLATE', path: setting, message: 'Setting "' + setting + '" must be a number not less than ' + numericSettings[setting] + '.'});
+        }
+    }
+    
+    if (template.selectionMode !== undefined && !(template.selectionMode in {'highlight': 1, 'checkbox': 1})) {
+        problems.push({code: 'INVALID_TEMPLATE', path: 'selectionMode', message: 'Selection mode must be "highlight" or "checkbox".'});
+    }
+    
+    if (template.stateStorage !== undefined && (typeof template.stateStorage != 'object' || template.stateStorage == null
+        || typeof template.stateStorage.getItem != 'function' || typeof template.stateStorage.setItem != 'function')) {
+        problems.push({code: 'INVALID_TEMPLATE', path: 'stateStorage', message: 'The state storage must be an object with getItem() and setItem() methods.'});
+    }
+    
+    var hooks = ['canDrop', 'onDrop', 'onCellEdit'];
+    
+    for (var i = 0; i < hooks.length; i++) {
+        if (template[hooks[i]] !== undefined && typeof template[hooks[i]] != 'function') {
+            problems.push({code: 'INVALID_TEMPLATE', path: hooks[i], message: 'The ' + hooks[i] + ' hook must be a function.'});
         }
-        
     }
     
-    for (var nodeId in newData) {
+    // Columns themselves are checked by the model:
+    var columns = (typeof template.columns == 'object' && template.columns) || {};
+    
+    for (var columnId in columns) {
+        
+        var column = columns[columnId];
+        
+        if (typeof column != 'object' || column == null) {
+            continue;
+        }
+        
+        if (column.editable !== undefined && typeof column.editable != 'boolean') {
+            problems.push({code: 'INVALID_TEMPLATE', path: 'columns.' + columnId + '.editable', message: 'Column setting "editable" must be a boolean.'});
+        }
+        
+        if (column.validate !== undefined && typeof column.validate != 'function') {
+            problems.push({code: 'INVALID_TEMPLATE', path: 'columns.' + columnId + '.validate', message: 'The validate hook must be a function.'});
+        }
         
-        // Add new node:
-        //  - The .addNode() method will take care of the positioning
-        this.addNode(nodeId, newData[nodeId]);
+        if (column.format !== undefined && typeof column.format != 'function') {
+            problems.push({code: 'INVALID_TEMPLATE', path: 'columns.' + columnId + '.format', message: 'The format hook must be a function.'});
+        }
+        
+        if (column.render !== undefined && typeof column.render != 'function') {
+            problems.push({code: 'INVALID_TEMPLATE', path: 'columns.' + columnId + '.render', message: 'The render hook must be a function.'});
+        }
         
     }
     
-    return true;
+    return problems;
+}
+
+/**
+ * Validates a dataset against a template without modifying either of them.
+ * 
+ * See TreeModel.validateDataset() for the list of reported problems.
+ * 
+ * @static
+ * @param {Object} dataset A dataset to validate.
+ * @param {Object} template A template defining the columns.
+ * @returns {Array} A list of problems; empty if the dataset is valid.
+ */
+
+TreeJS.validateDataset = function(dataset, template) {
+    
+    return TreeModel.validateDataset(dataset, template);
+    
+}
+
+/**
+ * Updates the tree with new data.
+ * 
+ * Only the rows and cells that actually changed are touched.
+ * 
+ * @param {Object} newData A valid TreeJS dataset.
+ * @returns {Object|Boolean} A summary of the update on success (see TreeModel.update); False on failure.
+ */
+
+TreeJS.prototype.update = function(newData) {
+    
+    return this.model.update(newData);
+    
+}
+
+/**
+ * Starts a batch of mutations.
+ * 
+ * Until the matching .endUpdate() call, the node sequence isn't recomputed
+ * and rows aren't repositioned; both happen once, when the batch ends.
+ * 
+ * @returns {Boolean} Always TRUE.
+ */
+
+TreeJS.prototype.beginUpdate = function() {
+    
+    return this.model.beginUpdate();
+    
+}
+
+/**
+ * Ends a batch of mutations and repositions all rows in a single pass.
+ * 
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype.endUpdate = function() {
+    
+    return this.model.endUpdate();
+    
+}
+
+/**
+ * Runs a function as a single batch of mutations.
+ * 
+ * @example
+ *    Tree.batch(function() {
+ *        this.addNode('foo/bar', {name: 'bar'});
+ *        this.removeNode('baz');
+ *    });
+ * @param {Function} fn A function performing the mutations.
+ * @param {Object} [context] An object to use as "this" within the function (defaults to the tree).
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype.batch = function(fn, context) {
+    
+    return this.model.batch(fn, context || this);
+    
 }
 
 /**
@@ -237,43 +608,8 @@ TreeJS.prototype.update = function(newData) {
 
 TreeJS.prototype.fixMissingDirectoriesInDataset = function(dataset) {
     
-    // The dataset argument must be a non-null Object:
-    if (typeof dataset != 'object' || dataset == null) {
-        this.onError('Unable to fix missing directories in the supplied dataset. The supplied dataset is invalid.');
-        return false;
-    }
-    
-    for (var nodeId in dataset) {
-        
-        // Break up the path in folder sequence:
-        // (we remove the last item because it is either a leave name
-        //  or it is empty in case we're dealing with a directory)
-        var folderSequence = nodeId.split(this.DIR_SEPARATOR).slice(0, -1);
-        
-        // Boilerplate variable:
-        var folderToCheck = '';
-        
-        // Check existence of folders by iterating through path chunks
-        // and adding them together to form deeper-level parent folders:
-        for (var i in folderSequence) {
-            
-            folderToCheck += folderSequence[i] + this.DIR_SEPARATOR;
-            
-            // Skip loop if folder exists:
-            if (dataset[folderToCheck]) {
-                continue;
-            }
-            
-            // Folder does not exist, add it to the dataset:
-            dataset[folderToCheck] = {
-                name: folderSequence[i]
-            };
-            
-        }
-        
-    }
+    return this.model.fixMissingDirectoriesInDataset(dataset);
     
-    return dataset;
 }
 
 /**
@@ -290,142 +626,75 @@ TreeJS.prototype.fixMissingDirectoriesInDataset = function(dataset) {
 
 TreeJS.prototype.addNode = function(nodeId, nodeData) {
     
-    // Node ID must be a non-empty string:
-    if (typeof nodeId != 'string' || nodeId.length == 0) {
-        this.onError('Unable to add node. Node ID is invalid: ' + nodeId);
-        return false;
-    }
+    // The row is created by the "nodeAdded" handler of the model:
+    return this.model.addNode(nodeId, nodeData);
+    
+}
+
+/**
+ * Updates position of a node (and rows of its descendants) in accordance with the node sequence.
+ * 
+ * Please note that this method doesn't perform any sorting.
+ * Instead, it repositions the Tree DOM nodes in accordance
+ * with the order of nodes that is currently in use.
+ * 
+ * @param {String} nodeId An ID of a node to update.
+ * @returns {Boolean} TRUE if repositioning has been successful; FALSE otherwise.
+ */
+
+TreeJS.prototype.updateNodePosition = function(nodeId) {
     
-    // Node ID must be unique:
-    if (this.nodes[nodeId]) {
-        return this.updateNode(nodeId, nodeData);
+    // Node ID must be a string:
+    if (typeof nodeId != 'string') {
+        this.onError(new TreeJSError('INVALID_NODE_ID', 'Unable to update node position. Node ID is invalid.', 'updateNodePosition', arguments));
+        return false;
     }
     
-    // nodeData is optional; if not provided we must figure it out from the nodeId:
-    if (!nodeData) {
-        // There are two possibilities: either we're dealing with a folder or with a leaf,
-        // with this in mind a node name could be either the last slice or the one before it
-        var nodeNameVariants = nodeId.split(this.DIR_SEPARATOR).slice(-2,2);
-        nodeData = {name: nodeNameVariants[1] || nodeNameVariants[0]};
+    // Virtual trees redraw the whole viewport instead:
+    if (this.template.virtual) {
+        return this._invalidateViewport();
     }
     
-    // Node data must be a non-null object:
-    if (typeof nodeData != 'object' || nodeData == null) {
-        this.onError('Unable to add node. Node dataset is invalid.');
+    // Node reference must exist:
+    if (!this.nodes[nodeId]) {
+        this.onError(new TreeJSError('NODE_NOT_FOUND', 'Unable to update node position. Node reference not found.', 'updateNodePosition', arguments));
         return false;
     }
     
-    // Before adding a node we must check the existence of its parent
-    //  1. Obtain the parent node ID - the character sequence to the left of the first directory separator:
-    var parentNodeId = nodeId.substr(0, nodeId.substr(0, nodeId.length - 1).lastIndexOf(this.DIR_SEPARATOR) + 1);
+    // Figure out the node in front of which we must move the original node:
+    // (if none - use Null; it will be moved to the end of the container node)
+    var nextNodeId = this.model.getNodeAfter(nodeId);
+    var insertBeforeNode = (nextNodeId && this.nodes[nextNodeId])
+        ?    this.nodes[nextNodeId].rowNode
+        :    null;
     
-    //  2. The parent node might be the root node:
-    var parentIsRoot = (parentNodeId == '' || parentNodeId == nodeId);
+    // Rows of a folder and its descendants always follow each other, so nothing has to be moved
+    // if the last of them is already in front of the next node (e.g. a value has changed, but not the order):
+    var lastRowNode = insertBeforeNode ? insertBeforeNode.previousSibling : this.bodyNode.lastChild;
+    var lastRowId = lastRowNode && lastRowNode.getAttribute('data-node-id');
     
-    //  3. If the parent is not root and doesn't exist - attempt to create it:
-    if (!parentIsRoot && !this.nodes[parentNodeId] && !this.addNode(parentNodeId)) {
-        this.onError('Unable to add node. Parent node "' + parentNodeId + '" doesn\'t exist.');
-        return false;
+    if (lastRowId && (lastRowId == nodeId || (this.model.isDir(nodeId) && lastRowId.substr(0, nodeId.length) == nodeId))) {
+        return this._labelSiblingPositions(this.getParentIdOf(nodeId));
     }
     
-    // Now we can safely add the node to the tree.
-    
-    // Create a boilerplate entry in the tree dataset:
-    this.data[nodeId] = {};
+    // A folder is moved together with its descendants:
+    var movingNodes = [nodeId].concat(this.model.getDescendantsOf(nodeId));
     
-    // Create a boilerplate entry in the tree node container:
-    this.nodes[nodeId] = {
-        rowNode: document.createElement('tr'),
-        cells: {}
-    };
-    
-    if (!parentIsRoot) {
-        
-        // Add this node id to the list of children of the parent node:
-        this.nodes[parentNodeId].children.push(nodeId);
+    // Attempt to move the nodes:
+    try {
         
-        // Children of collapsed nodes must not be visible:
-        if (!this.nodes[parentNodeId].isOpen) {
-            this.nodes[nodeId].rowNode.style.display = 'none';
+        for (var i = 0; i < movingNodes.length; i++) {
+            if (this.nodes[movingNodes[i]]) {
+                this.bodyNode.insertBefore(this.nodes[movingNodes[i]].rowNode, insertBeforeNode);
+            }
         }
-    }
-    
-    // Now figure out what is the node type and act accordingly:
-    if (this.isDir(nodeId)) {
-        
-        // Folders must be collapsed:
-        this.nodes[nodeId].isOpen = false;
-        // Boilerplate array for children:
-        this.nodes[nodeId].children = [];
-        // Must be styled as folder:
-        this.nodes[nodeId].rowNode.className = this.template.className + '-folder';
-        
-        // Finally create a folder (directory):
-        this._createDir(nodeId, nodeData);
-        
-    } else {
-        
-        // Must be styled as leaf:
-        this.nodes[nodeId].rowNode.className = this.template.className + '-leaf';
-        
-        // Finally create a leaf:
-        this._createLeaf(nodeId, nodeData);
-        
-    }
-    
-    // The new node must be positioned correctly within the tree:
-    //  1. Update the sequence of nodes;
-    //  2. Position in accordance with the updated sequence.
-    return (this.updateNodeSequence() && this.updateNodePosition(nodeId));
-}
-
-/**
- * Updates position of a node in accordance with the node sequence.
- * 
- * Please note that this method doesn't perform any sorting.
- * Instead, it repositions the Tree DOM nodes in accordance
- * with the node sequence that is currently in use. You might
- * need to call .nodeSequenceUpdate() prior to using this method.
- * 
- * @param {String} nodeId An ID of a node to update.
- * @returns {Boolean} TRUE if repositioning has been successful; FALSE otherwise.
- */
-
-TreeJS.prototype.updateNodePosition = function(nodeId) {
-    
-    // Node ID must be a string:
-    if (typeof nodeId != 'string') {
-        this.onError('Unable to update node position. Node ID is invalid.');
-        return false;
-    }
-    
-    // Node reference must exist:
-    if (!this.nodes[nodeId]) {
-        this.onError('Unable to update node position. Node reference not found.');
-        return false;
-    }
-    
-    // Find node position in sequence:
-    for (var i = 0; i < this.nodeSequence.length; i++) {
-        // When found - break loop and keep node position "i" intact:
-        if (this.nodeSequence[i] == nodeId) { break; }
-    }
-    
-    // Figure out the node in front of which we must move the original node:
-    // (if none - use Null; it will be moved to the end of the container node)
-    var insertBeforeNode = (this.nodeSequence[i+1] && this.nodes[this.nodeSequence[i+1]])
-        ?    this.nodes[this.nodeSequence[i+1]].rowNode
-        :    null;
-    
-    // Attempt to move the node:
-    try {
         
-        this.bodyNode.insertBefore(this.nodes[nodeId].rowNode, insertBeforeNode);
-        return true;
+        // Positions of the siblings have changed as well:
+        return this._labelSiblingPositions(this.getParentIdOf(nodeId));
         
     } catch(e) {
         
-        this.onError('Failed to update node position. ' + e);
+        this.onError(new TreeJSError('DOM_FAILURE', 'Failed to update node position. ' + e, 'updateNodePosition', arguments, e));
         return false;
         
     }
@@ -442,39 +711,8 @@ TreeJS.prototype.updateNodePosition = function(nodeId) {
 
 TreeJS.prototype.updateNode = function(nodeId, nodeData) {
     
-    // Node ID must be a string:
-    if (typeof nodeId != 'string') {
-        this.onError('Unable to update node. Node ID is invalid.');
-        return false;
-    }
-    
-    // Node must already exist in the tree:
-    if (!this.nodes[nodeId]) {
-        this.onError('Unable to update node. Node reference not found.');
-        return false;
-    }
-    
-    // Node data must be a non-null object:
-    if (typeof nodeData != 'object' || nodeData == null) {
-        this.onError('Unable to update node. Node dataset is invalid.');
-        return false;
-    }
-    
-    // Iterate through existing cells:
-    //  - If you supply more values than needed - the rest will be ignored:
-    for (var columnId in this.nodes[nodeId].cells) {
-        
-        // Reset both the cell value and the tree dataset reference:
-        //  - The update will be interrupted on at least one cell update failure (maybe not the best idea)
-        if (!this.setCellValue(nodeId, columnId, nodeData[columnId])) {
-            return false;
-        }
-        
-    }
+    return this.model.updateNode(nodeId, nodeData);
     
-    // Attempt to update node sequence and the inserted node position
-    // and return result of both operations:
-    return (this.updateNodeSequence() && this.updateNodePosition(nodeId));
 }
 
 /**
@@ -486,70 +724,40 @@ TreeJS.prototype.updateNode = function(nodeId, nodeData) {
 
 TreeJS.prototype.removeNode = function(nodeId) {
     
-    // Node ID must be a string:
-    if (typeof nodeId != 'string') {
-        this.onError('Unable to remove node. Node ID is invalid.');
-        return false;
-    }
-    
-    // Node reference must exist:
-    if (!this.nodes[nodeId]) {
-        this.onError('Unable to remove node. Node reference not found.');
-        return false;
-    }
-    
-    // Orphans are not allowed (I'm so cruel...)
-    // so check if we're dealing with a directory
-    // and if the children container is correctly defined:
-    if (this.isDir(nodeId) && this.nodes[nodeId].children) {
-        
-        // Iterate the children of the current node:
-        for (var i in this.nodes[nodeId].children) {
-            this.removeNode(this.nodes[nodeId].children[i]);
-        }
-        
-    }
-    
-    // We must remove the node from selection:
-    this.changeSelection('remove', nodeId);
+    // Rows are destroyed by the "nodeRemoved" handler of the model:
+    return this.model.removeNode(nodeId);
     
-    // Also remove from parent's children:
-    //  1. First obtain the parent node id:
-    var parentNodeId = this.getParentIdOf(nodeId);
-    //  2. Check if parent node id is correct (might be FALSE) and that the parent node exists:
-    if (parentNodeId && this.nodes[parentNodeId]) {
-        
-        // The children ids are kept in a simple array,
-        // so we need to iterate through it to find the one
-        // corresponding to the node we are trying to remove:
-        for (var i in this.nodes[parentNodeId].children) {
-            if (this.nodes[parentNodeId].children[i] == nodeId) {
-                delete this.nodes[parentNodeId].children[i];
-                break;
-            }
-        }
-        
-    }
+}
+
+/**
+ * Moves a node (and all of its descendants) to another folder.
+ * 
+ * Rows are reused, so selection and open/closed states are kept.
+ * 
+ * @param {String} nodeId A valid ID of a node to move.
+ * @param {String} newParentId A valid ID of the target folder ("" for the root level).
+ * @returns {String|Boolean} The new ID of the node on success; FALSE on failure.
+ */
+
+TreeJS.prototype.moveNode = function(nodeId, newParentId) {
     
-    // Get reference to the DOM element of the node container:
-    var element = this.nodes[nodeId].rowNode;
+    // Rows are re-keyed by the "nodeMoved" handler of the model:
+    return this.model.moveNode(nodeId, newParentId);
     
-    // Attempt to destroy the DOM element of the node container:
-    if (!this._destroyElement(element)) {
-        return false;
-    }
+}
 
-    // Destroy the DOM element itself together with its reference:
-    delete this.nodes[nodeId];
-    delete this.data[nodeId];
+/**
+ * Renames a node and rewrites IDs of all of its descendants.
+ * 
+ * @param {String} nodeId A valid ID of a node to rename.
+ * @param {String} newName A new name (must not contain the directory separator).
+ * @returns {String|Boolean} The new ID of the node on success; FALSE on failure.
+ */
+
+TreeJS.prototype.renameNode = function(nodeId, newName) {
     
-    // Remove from node sequence:
-    if (!this.updateNodeSequence()) {
-        this.onError('Failed to update node sequence after node removal.');
-        return false;
-    }
+    return this.model.renameNode(nodeId, newName);
     
-    return true;
 }
 
 /**
@@ -561,9 +769,7 @@ TreeJS.prototype.removeNode = function(nodeId) {
 
 TreeJS.prototype.getParentIdOf = function(nodeId) {
     
-    return (typeof nodeId == 'string')
-        ? nodeId.substr(0, nodeId.substr(0, nodeId.length-1).lastIndexOf(this.DIR_SEPARATOR) + 1)
-        : false;
+    return this.model.getParentIdOf(nodeId);
     
 }
 
@@ -580,38 +786,70 @@ TreeJS.prototype.getParentIdOf = function(nodeId) {
 
 TreeJS.prototype.setCellValue = function(nodeId, columnId, cellValue) {
     
-    // The node must exist:
-    if (!this.nodes[nodeId]) {
-        this.onError('Unable to set cell value. Node not found.');
-        return false;
+    // The cell is redrawn by the "cellChanged" handler of the model:
+    return this.model.setCellValue(nodeId, columnId, cellValue);
+    
+}
+
+/**
+ * Returns a value of a cell (folder cells of columns with an aggregate hold the aggregate).
+ * 
+ * @param {String} nodeId A valid ID of a node.
+ * @param {String} columnId A valid ID of a column.
+ * @returns {Mixed} The cell value (Null if empty); Undefined if the node or the column doesn't exist.
+ */
+
+TreeJS.prototype.getCellValue = function(nodeId, columnId) {
+    
+    return this.model.getCellValue(nodeId, columnId);
+    
+}
+
+/**
+ * Redraws a cell with its value from the tree dataset.
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of a node with a cell to redraw.
+ * @param {String} columnId A valid ID of a cell column.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype._renderCell = function(nodeId, columnId) {
+    
+    // Rows outside of the viewport of a virtual tree aren't rendered:
+    if (this.template.virtual && !this.nodes[nodeId]) {
+        return true;
     }
     
     // The cell must exist within node:
-    if (!this.nodes[nodeId].cells || !this.nodes[nodeId].cells[columnId]) {
-        this.onError('Unable to set cell value. Cell not found.');
+    if (!this.nodes[nodeId] || !this.nodes[nodeId].cells[columnId]) {
+        this.onError(new TreeJSError('COLUMN_NOT_FOUND', 'Unable to render cell. Cell not found.', '_renderCell', arguments));
         return false;
     }
     
-    // Validate cell value:
-    if (!typeof cellValue in {'number': 1, 'string': 1, 'undefined': 1} && cellValue != null) {
-        this.onError('Unable to set cell value. Value type must be: Number, String, Null or Undefined.');
-        return false;
+    // A value set while the cell is being edited replaces the editor:
+    if (this.editState && this.editState.nodeId == nodeId && this.editState.columnId == columnId) {
+        this.editState = null;
     }
     
-    // Validate data container:
-    if (typeof this.data != 'object' || typeof this.data[nodeId] != 'object') {
-        this.onError('Unable to set cell value. Invalid data container.');
-        return false;
+    var column = this.template.columns[columnId];
+    
+    if (typeof column.render == 'function') {
+        return this._renderCustomCell(nodeId, columnId);
     }
     
-    // Insert original value into the dataset:
-    // (better do it now; it will be modified in next steps)
-    this.data[nodeId][columnId] = cellValue;
+    // (folders show their aggregates, if any)
+    var cellValue = this.model.getCellValue(nodeId, columnId);
     
     // Check if we're dealing with an empty value (null or undefined):
     if (typeof cellValue == 'undefined' || cellValue == null) {
         // Attempt to reset as defaultValue from the template or failover as empty string:
-        cellValue = this.template.columns[columnId].defaultValue || '';
+        cellValue = column.defaultValue || '';
+    } else if (typeof column.format == 'function') {
+        // The formatter of the column gets the whole row as well:
+        cellValue = column.format.call(this, cellValue, this.data[nodeId]);
+    } else if (TreeModel.columnTypes[column.type]) {
+        cellValue = TreeModel.columnTypes[column.type].format(cellValue);
     }
     
     // Numbers must be converted to strings:
@@ -619,9 +857,16 @@ TreeJS.prototype.setCellValue = function(nodeId, columnId, cellValue) {
     
     // Check if the current template requires to escape cell value:
     // (don't trust the defaultValue in the template to be unescaped)
-    cellValue = (this.template.columns[columnId].noEscape)
-        ?    cellValue
-        :    this._htmlSpecialChars(cellValue) || '';
+    //  - Names matching the query of the active filter get the match highlighted
+    var filter = this.model.getFilter();
+    var isEscaped = !this.template.columns[columnId].noEscape;
+    var isHighlighted = isEscaped && columnId == 'name' && filter && filter.column == 'name' && this.model.isMatch(nodeId);
+    
+    if (isHighlighted) {
+        cellValue = this._highlightMatches(String(cellValue), filter.query);
+    } else if (isEscaped) {
+        cellValue = this._htmlSpecialChars(cellValue) || '';
+    }
     
     // Grab reference to the DOM element where the value will be inserted:
     // (also consider a special case of "name" column)
@@ -637,13 +882,69 @@ TreeJS.prototype.setCellValue = function(nodeId, columnId, cellValue) {
         
     } catch (e) {
         
-        this.onError('Failed to set cell value. ' + e);
+        this.onError(new TreeJSError('DOM_FAILURE', 'Failed to set cell value. ' + e, '_renderCell', arguments, e));
         return false;
         
     }
     
 }
 
+/**
+ * Redraws a cell with the render(value, row, nodeId) function of its column.
+ * 
+ * The function returns a DOM node or markup, which is inserted as is (so it must be safe).
+ * It's only called when the value (or the ID of the node) has changed since the cell was last rendered.
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of a rendered node.
+ * @param {String} columnId A valid ID of a column with a render function.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype._renderCustomCell = function(nodeId, columnId) {
+    
+    var row = this.nodes[nodeId];
+    var cellValue = this.model.getCellValue(nodeId, columnId);
+    
+    // Empty values are passed on as Null:
+    if (typeof cellValue == 'undefined') {
+        cellValue = null;
+    }
+    
+    var rendered = row.renderedValues[columnId];
+    
+    if (rendered && rendered.value === cellValue && rendered.nodeId == nodeId) {
+        return true;
+    }
+    
+    // Grab reference to the DOM element where the content will be inserted:
+    // (also consider a special case of "name" column)
+    var cellNode = (columnId == 'name')
+        ?    row.cells[columnId].selectorNode
+        :    row.cells[columnId];
+    
+    try {
+        
+        var content = this.template.columns[columnId].render.call(this, cellValue, this.data[nodeId], nodeId);
+        
+        cellNode.innerHTML = '';
+        
+        if (content && typeof content == 'object' && content.nodeType) {
+            cellNode.appendChild(content);
+        } else {
+            cellNode.innerHTML = (content == null) ? '' : String(content);
+        }
+        
+    } catch (e) {
+        this.onError(new TreeJSError('OPERATION_FAILED', 'Failed to render cell. ' + e, '_renderCustomCell', arguments, e));
+        return false;
+    }
+    
+    row.renderedValues[columnId] = {value: cellValue, nodeId: nodeId};
+    
+    return true;
+}
+
 /**
  * Appends the tree to a DOM element.
  * 
@@ -655,21 +956,28 @@ TreeJS.prototype.appendTo = function(node) {
     
     // Only append to valid DOM elements (nodeType = 1):
     if (typeof node != 'object' || node.nodeType != 1) {
-        this.onError('Unable to append. Parent node is invalid.');
+        this.onError(new TreeJSError('INVALID_ARGUMENT', 'Unable to append. Parent node is invalid.', 'appendTo', arguments));
         return false;
     }
     
     try {
         
-        node.appendChild(this.containerNode);
-        return true;
+        node.appendChild(this.viewportNode || this.containerNode);
         
     } catch(e) {
         
-        this.onError('Failed to append. ' + e);
+        this.onError(new TreeJSError('DOM_FAILURE', 'Failed to append. ' + e, 'appendTo', arguments, e));
         return false;
         
     }
+    
+    // Scrolling of the element is saved along with the rest of the view state
+    // (virtual trees are scrolled within their own viewport):
+    if (!this.template.virtual) {
+        this._watchScroll(node);
+    }
+    
+    return this._restoreScrollTop();
 }
 
 /**
@@ -680,23 +988,8 @@ TreeJS.prototype.appendTo = function(node) {
 
 TreeJS.prototype.openAllBranches = function() {
     
-    // Iterate through available nodes:
-    for (var nodeId in this.nodes) {
-        
-        // Only work with folders:
-        if (!this.isDir(nodeId)) {
-            continue;
-        }
-        
-        // Attempt to open branch:
-        if (!this.openBranch(nodeId)) {
-            this.onError('Failed to open all branches.');
-            return false;
-        }
-        
-    }
+    return this.model.openAllBranches();
     
-    return true;
 }
 
 /**
@@ -707,21 +1000,47 @@ TreeJS.prototype.openAllBranches = function() {
 
 TreeJS.prototype.closeAllBranches = function() {
     
-    // Iterate through available nodes:
-    for (var nodeId in this.nodes) {
-        
-        // Only work with folders:
-        if (!this.isDir(nodeId)) continue;
-        
-        // Attempt to close branch:
-        if (!this.closeBranch(nodeId)) {
-            this.onError('Failed to close all branches.');
-            return false;
-        }
-        
-    }
+    return this.model.closeAllBranches();
+    
+}
+
+/**
+ * Opens folders down to a given depth and closes the deeper ones.
+ * 
+ * @param {Integer} level A number of folder levels to open (zero closes all branches).
+ * @returns {Boolean} TRUE on success; FALSE if at least one branch fails to open or close.
+ */
+
+TreeJS.prototype.expandToLevel = function(level) {
+    
+    return this.model.expandToLevel(level);
+    
+}
+
+/**
+ * Opens a folder along with all of its descendant folders.
+ * 
+ * @param {String} nodeId A valid ID of a folder.
+ * @returns {Boolean} TRUE on success; FALSE if at least one branch fails to open.
+ */
+
+TreeJS.prototype.expandSubtree = function(nodeId) {
+    
+    return this.model.expandSubtree(nodeId);
+    
+}
+
+/**
+ * Closes a folder along with all of its descendant folders.
+ * 
+ * @param {String} nodeId A valid ID of a folder.
+ * @returns {Boolean} TRUE on success; FALSE if at least one branch fails to close.
+ */
+
+TreeJS.prototype.collapseSubtree = function(nodeId) {
+    
+    return this.model.collapseSubtree(nodeId);
     
-    return true;
 }
 
 /**
@@ -733,20 +1052,8 @@ TreeJS.prototype.closeAllBranches = function() {
 
 TreeJS.prototype.toggleBranch = function(nodeId) {
     
-    // Node ID must be a string:
-    if (typeof nodeId != 'string') {
-        this.onError('Unable to toggle branch. Node ID is invalid.');
-        return false;
-    }
-    
-    if (!this.isDir(nodeId)) {
-        this.onError('Unable to toggle branch. Target is a leaf node.');
-        return false;
-    }
+    return this.model.toggleBranch(nodeId);
     
-    return (this.nodes[nodeId].isOpen)
-        ? this.closeBranch(nodeId)
-        : this.openBranch(nodeId);
 }
 
 /**
@@ -758,26 +1065,65 @@ TreeJS.prototype.toggleBranch = function(nodeId) {
 
 TreeJS.prototype.openBranch = function(nodeId) {
     
-    if (!this.isDir(nodeId)) {
-        this.onError('Unable to open branch. Target is a leaf node.');
-        return false;
-    }
+    // Children are shown by the "branchOpened" handler of the model:
+    return this.model.openBranch(nodeId);
+    
+}
+
+/**
+ * Shows children of an opened branch and restyles it.
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of an opened node.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
 
-    if (typeof this.nodes != 'object' || typeof this.nodes[nodeId] != 'object') {
+TreeJS.prototype._showBranch = function(nodeId) {
+    
+    // Virtual trees redraw the whole viewport instead:
+    if (this.template.virtual) {
+        return this._restyleBranch(nodeId) && this._invalidateViewport();
+    }
+    
+    if (!this.nodes[nodeId]) {
+        this.onError(new TreeJSError('NODE_NOT_FOUND', 'Unable to open branch. Node "' + nodeId + '" not found.', '_showBranch', arguments));
         return false;
     }
     
-    for (var i in this.nodes[nodeId].children) {
-        this.unhideBranchOrNode(this.nodes[nodeId].children[i]);
+    // Within a batch, rows are shown and hidden all at once when it ends:
+    if (this.model.isUpdating()) {
+        this.toggledBranches = this.toggledBranches || {};
+        this.toggledBranches[nodeId] = true;
+        return this._restyleBranch(nodeId);
     }
     
-    if (this.nodes[nodeId].rowNode.className.indexOf(' ' + this.template.className + '-branchIsOpen') == -1) {
-        this.nodes[nodeId].rowNode.className += ' ' + this.template.className + '-branchIsOpen';
+    // Children of a hidden branch must stay hidden:
+    if (this.model.isVisible(nodeId)) {
+        
+        var children = this.model.nodes[nodeId].children;
+        
+        for (var i = 0; i < children.length; i++) {
+            this.unhideBranchOrNode(children[i]);
+        }
+        
     }
     
-    this.nodes[nodeId].isOpen = true;
+    return this._restyleBranch(nodeId);
+}
+
+/**
+ * Loads children of a lazy folder through the template.loadChildren() hook.
+ * 
+ * Lazy folders load their children automatically when opened for the first time.
+ * 
+ * @param {String} nodeId A valid ID of a folder marked with "__lazy".
+ * @returns {Boolean} TRUE if loading has started (or is in progress); FALSE on failure.
+ */
+
+TreeJS.prototype.loadChildren = function(nodeId) {
+    
+    return this.model.loadChildren(nodeId);
     
-    return true;
 }
 
 /**
@@ -791,25 +1137,181 @@ TreeJS.prototype.openBranch = function(nodeId) {
 
 TreeJS.prototype.closeBranch = function(nodeId) {
     
-    if (!this.isDir(nodeId)) {
-        this.onError('Unable to close branch. Target is a leaf node.');
-        return false;
-    }
+    // Children are hidden by the "branchClosed" handler of the model:
+    return this.model.closeBranch(nodeId);
     
-    if (typeof this.nodes != 'object' || typeof this.nodes[nodeId] != 'object') {
+}
+
+/**
+ * Makes a node visible: opens all of its ancestors (loading lazy ones on the way),
+ * then selects it, focuses it and scrolls it into view, as the options say.
+ * 
+ * The node doesn't have to be loaded yet, e.g. .reveal('foo/bar/baz', {select: true})
+ * works if "foo/" is a lazy folder whose loader returns "foo/bar/".
+ * 
+ * @param {String} nodeId An ID of a node to reveal.
+ * @param {Object} [options] What to do once the node is visible:
+ *    @param {Boolean} [options.select] If set to True - the node becomes the only selected one.
+ *    @param {Boolean} [options.focus] If set to True - the node gets the keyboard focus (and is scrolled into view).
+ *    @param {Boolean} [options.scroll] If set to False - the tree isn't scrolled to the node (it is by default).
+ * @param {Function} [callback] Called as callback(error) once the node has been revealed;
+ *    the error is a TreeJSError or Null.
+ * @returns {Boolean} TRUE if the node has been revealed (or its ancestors are being loaded); FALSE on failure.
+ */
+
+TreeJS.prototype.reveal = function(nodeId, options, callback) {
+    
+    var that = this;
+    
+    options = options || {};
+    
+    return this.model.openPath(nodeId, function(error) {
+        
+        // (the error has been reported by the model)
+        if (!error) {
+            
+            if (options.select) {
+                that.changeSelection('single', nodeId);
+            }
+            
+            // (a focused row is scrolled into view in any case)
+            if (options.focus) {
+                that._setFocusedNode(nodeId, true);
+            }
+            
+            if (options.scroll !== false) {
+                that._scrollToNode(nodeId);
+            }
+            
+        }
+        
+        if (typeof callback == 'function') {
+            callback(error);
+        }
+        
+    });
+}
+
+/**
+ * Hides children of a closed branch and restyles it.
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of a closed node.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype._hideBranch = function(nodeId) {
+    
+    // Virtual trees redraw the whole viewport instead:
+    if (this.template.virtual) {
+        return this._restyleBranch(nodeId) && this._invalidateViewport();
+    }
+    
+    if (!this.nodes[nodeId]) {
+        this.onError(new TreeJSError('NODE_NOT_FOUND', 'Unable to close branch. Node "' + nodeId + '" not found.', '_hideBranch', arguments));
         return false;
     }
     
+    // Within a batch, rows are shown and hidden all at once when it ends:
+    if (this.model.isUpdating()) {
+        this.toggledBranches = this.toggledBranches || {};
+        this.toggledBranches[nodeId] = true;
+        return this._restyleBranch(nodeId);
+    }
+    
+    var children = this.model.nodes[nodeId].children;
+    
     // Recursively hide children:
     //  - Do not close them! They are supposed to stay open, but hidden
-    for (var i in this.nodes[nodeId].children) {
-        this.hideBranchOrNode(this.nodes[nodeId].children[i]);
+    for (var i = 0; i < children.length; i++) {
+        this.hideBranchOrNode(children[i]);
+    }
+    
+    return this._restyleBranch(nodeId);
+}
+
+/**
+ * Shows and hides rows after branches have been opened or closed within a batch (in a single pass).
+ * 
+ * @private
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype._renderBranches = function() {
+    
+    var toggledBranches = this.toggledBranches;
+    var visibleNodes = {};
+    var visibleSequence = this.model.getVisibleSequence();
+    
+    this.toggledBranches = null;
+    
+    for (var i = 0; i < visibleSequence.length; i++) {
+        visibleNodes[visibleSequence[i]] = true;
+    }
+    
+    for (var nodeId in this.nodes) {
+        this.nodes[nodeId].rowNode.style.display = visibleNodes[nodeId] ? 'table-row' : 'none';
+    }
+    
+    // Children of opened folders haven't been labeled while they were closed:
+    for (var folderId in toggledBranches) {
+        if (!this._labelSiblingPositions(folderId)) {
+            return false;
+        }
+    }
+    
+    return true;
+}
+
+/**
+ * Restyles a branch in accordance with its open/closed and load states.
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of a folder.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype._restyleBranch = function(nodeId) {
+    
+    // Rows outside of the viewport of a virtual tree aren't rendered:
+    if (!this.nodes[nodeId]) {
+        return !!this.template.virtual;
     }
     
+    var rowNode = this.nodes[nodeId].rowNode;
+    
     // Restyle the branch by modifying the CSS class:
-    this.nodes[nodeId].rowNode.className = this.nodes[nodeId].rowNode.className.replace(' ' + this.template.className + '-branchIsOpen', '');
+    rowNode.className = rowNode.className.replace(' ' + this.template.className + '-branchIsOpen', '');
+    
+    if (this.model.nodes[nodeId].isOpen) {
+        rowNode.className += ' ' + this.template.className + '-branchIsOpen';
+    }
+    
+    rowNode.setAttribute('aria-expanded', this.model.nodes[nodeId].isOpen ? 'true' : 'false');
+    
+    var loadState = this.model.nodes[nodeId].loadState;
+    var expanderNode = this.nodes[nodeId].cells['name'] && this.nodes[nodeId].cells['name'].expanderNode;
+    
+    // Lazy folders are styled while their children are being loaded or have failed to load:
+    rowNode.className = rowNode.className
+        .replace(' ' + this.template.className + '-loading', '')
+        .replace(' ' + this.template.className + '-loadFailed', '');
+    
+    if (loadState == 'loading') {
+        rowNode.className += ' ' + this.template.className + '-loading';
+    } else if (loadState == 'failed') {
+        rowNode.className += ' ' + this.template.className + '-loadFailed';
+    }
+    
+    if (loadState == 'loading') {
+        rowNode.setAttribute('aria-busy', 'true');
+    } else {
+        rowNode.removeAttribute('aria-busy');
+    }
     
-    this.nodes[nodeId].isOpen = false;
+    if (expanderNode) {
+        expanderNode.title = loadState == 'failed' ? 'Failed to load. Click to retry.' : '';
+    }
     
     return true;
 }
@@ -826,14 +1328,16 @@ TreeJS.prototype.closeBranch = function(nodeId) {
 TreeJS.prototype.hideBranchOrNode = function(nodeId) {
     
     if (!this.nodes[nodeId]) {
-        this.onError('Unable to hide. Node not found.');
+        this.onError(new TreeJSError('NODE_NOT_FOUND', 'Unable to hide. Node not found.', 'hideBranchOrNode', arguments));
         return false;
     }
     
     if (this.isDir(nodeId)) {
         
-        for (var i in this.nodes[nodeId].children) {
-            this.hideBranchOrNode(this.nodes[nodeId].children[i]);
+        var children = this.model.nodes[nodeId].children;
+        
+        for (var i = 0; i < children.length; i++) {
+            this.hideBranchOrNode(children[i]);
         }
         
     }
@@ -855,21 +1359,28 @@ TreeJS.prototype.hideBranchOrNode = function(nodeId) {
 TreeJS.prototype.unhideBranchOrNode = function(nodeId) {
     
     if (!this.nodes[nodeId]) {
-        this.onError('Unable to unhide. Node "' + nodeId + '" not found.');
+        this.onError(new TreeJSError('NODE_NOT_FOUND', 'Unable to unhide. Node "' + nodeId + '" not found.', 'unhideBranchOrNode', arguments));
         return false;
     }
     
+    // Nodes kept out by the active filter stay hidden (and so do their descendants):
+    if (this.model.isFilteredOut(nodeId)) {
+        return this.hideBranchOrNode(nodeId);
+    }
+    
     // Apply CSS styling to unhide the node:
     this.nodes[nodeId].rowNode.style.display = 'table-row';
     
     // Check if we need to go further (dealing with a folder?):
-    if (!this.isDir(nodeId) || !this.nodes[nodeId].isOpen) {
+    if (!this.isDir(nodeId) || !this.model.nodes[nodeId].isOpen) {
         return true;
     }
     
+    var children = this.model.nodes[nodeId].children;
+    
     // Unhide children:
-    for (var i in this.nodes[nodeId].children) {
-        if (!this.unhideBranchOrNode(this.nodes[nodeId].children[i])) {
+    for (var i = 0; i < children.length; i++) {
+        if (!this.unhideBranchOrNode(children[i])) {
             return false;
         }
     }
@@ -886,51 +1397,29 @@ TreeJS.prototype.unhideBranchOrNode = function(nodeId) {
 
 TreeJS.prototype.isDir = function(nodeId) {
     
-    // Folder IDs' last character equal the constant DIR_SEPARATOR:
-    //  - "foo/", "foo/bar/" are folders
-    //  - "foo", "foo/bar" are leaves
-    return (typeof nodeId == 'string' && nodeId.substr(nodeId.length - 1, 1) == this.DIR_SEPARATOR);
+    return this.model.isDir(nodeId);
     
 }
 
 /**
- * Updates node sequence based on tree's current dataset and sorting settings.
+ * Re-sorts the tree nodes in accordance with the current sort settings.
+ * 
+ * Please note that this method doesn't reposition the rows;
+ * use .sortBy() to re-sort and redraw the tree.
  * 
- * @param {String} [sortColumn] A valid ID of a tree column.
- * @param {String} [sortOrder] Sorting order: "asc" or "desc".
- * @param {Object} [newData] Optional.
  * @returns {Boolean} TRUE on successful update; FALSE otherwise.
  */
 
-TreeJS.prototype.updateNodeSequence = function(sortColumn, sortOrder, newData)
-{
-    var sortColumn = (typeof sortColumn == 'string' && this.template.columns[sortColumn])
-        ?    sortColumn
-        :    this.template.sortColumn;
-    var sortOrder = (typeof sortOrder == 'string') ? sortOrder : this.template.sortOrder;
-    var newData = (typeof newData == 'undefined') ? this.data : newData;
-    
-    if (typeof newData != 'object' || newData == null) {
-        return false;
-    }
-    
-    var sortableData = [];
-    
-    for (nodeId in newData) {
-        sortableData.push([nodeId, newData[nodeId][sortColumn] || null]);
-    }
-    
-    sortableData.sort(this._customSort(sortOrder.toLowerCase() == 'desc'));
+TreeJS.prototype.updateNodeSequence = function() {
     
-    this.nodeSequence = this._sortByHierarchy(sortableData);
+    return this.model.updateNodeSequence();
     
-    return true;
 }
 
 /* ---------------------------------------------------- SELECTION ---------------------------------------------------- */
 
 /**
- * Modifies current list of selected nodes and triggers an .onSelectionChange() method.
+ * Modifies current list of selected nodes and fires the "selectionChanged" event.
  * 
  * @param {String} nodeId_firstInRange A valid ID of a first node in selection range.
  * @param {String} [nodeId_lastInRange] A valid ID of a last node in selection range.
@@ -939,125 +1428,73 @@ TreeJS.prototype.updateNodeSequence = function(sortColumn, sortOrder, newData)
 
 TreeJS.prototype.changeSelection = function(action, nodeId_firstInRange, nodeId_lastInRange) {
     
-    switch (action) {
-        
-        case 'add' :
-            var success = this.addToSelection(nodeId_firstInRange || null);
-            break;
-        
-        case 'remove' :
-            var success = this.removeFromSelection(nodeId_firstInRange || null);
-            break;
-        
-        case 'single' :
-            var success = this.selectSingle(nodeId_firstInRange || null);
-            break;
-        
-        case 'all' :
-            var success = this.selectAll();
-            break;
-        
-        case 'none' :
-            var success = this.selectNone();
-            break;
-        
-        case 'range' :
-            var success = this.selectRange(nodeId_firstInRange || null, nodeId_lastInRange || null);
-            break;
-        
-    }
-    
-    if (!success) {
-        return false;
-    }
-    
-    if (typeof this.onSelectionChange == 'function') {
-        this.onSelectionChange(this.selection);
-    }
+    // The "selectionChanged" event is fired by the "selectionChanged" handler of the model:
+    return this.model.changeSelection(action, nodeId_firstInRange, nodeId_lastInRange);
     
-    return true;
 }
 
 /**
  * Adds node to selection and restyles it accordingly.
  * 
  * @param {String} nodeId A valid ID of a node to add to selection.
- * @returns {Boolean} TRUE on success; FALSE on failure.
+ * @returns {Boolean} TRUE on success; FALSE on failure or if vetoed.
  */
 
 TreeJS.prototype.addToSelection = function(nodeId) {
     
-    // Node must exist:
-    if (!this.nodes[nodeId]) {
-        this.onError('Unable to add node to selection. The node does not exist.');
-        return false;
-    }
-    
-    // Do not add nodes that are already in selection:
-    if (this.isSelected(nodeId)) {
-        return true;
-    }
-    
-    // Add to selection:
-    this.selection.push(nodeId);
-    
-    // Grab reference to the node container element:
-    var element = this.nodes[nodeId].rowNode;
-    
-    // Node container element must be a valid DOM element:
-    if (typeof element != 'object' || element.nodeType != 1) {
-        this.onError('Added to selection but unable to restyle node. Invalid DOM element.');
-        return false;
-    }
-    
-    // Add styling to element but avoid duplication of CSS classes:
-    if (element.className.indexOf(' ' + this.template.className + '-selectedNode' == -1)) {
-        element.className += ' ' + this.template.className + '-selectedNode';
-    }
+    return this.model.addToSelection(nodeId);
     
-    return true;
 }
 
 /**
  * Removes node from selection and restyles it accordingly.
  * 
  * @param {String} nodeId A valid ID of a node to remove from selection.
- * @returns {Boolean} TRUE on success; FALSE on failure.
+ * @returns {Boolean} TRUE on success; FALSE on failure or if vetoed.
  */
 
 TreeJS.prototype.removeFromSelection = function(nodeId) {
     
-    // Node must exist:
-    if (!this.nodes[nodeId]) {
-        this.onError('Unable to remove node from selection. The node does not exist.');
-        return false;
-    }
+    return this.model.removeFromSelection(nodeId);
     
-    // Get node position in selection list:
-    var posInSelection = this.inSelection(nodeId);
+}
+
+/**
+ * Restyles a node in accordance with its selection state.
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of a node to restyle.
+ * @param {Boolean} isSelected Whether the node has been selected or deselected.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype._restyleSelectedNode = function(nodeId, isSelected) {
     
-    // Do not deselect nodes that are not in selection:
-    if (posInSelection === false) {
+    // Rows outside of the viewport of a virtual tree aren't rendered:
+    if (this.template.virtual && !this.nodes[nodeId]) {
         return true;
     }
     
-    // Remove reference from selection list property:
-    this.selection.splice(posInSelection, 1);
-    
     // Grab reference to the node container element:
-    var element = this.nodes[nodeId].rowNode;
+    var element = this.nodes[nodeId] && this.nodes[nodeId].rowNode;
     
     // Node container element must be a valid DOM element:
-    if (typeof element != 'object' || element.nodeType != 1) {
-        this.onError('Deselected but unable to restyle node. Invalid DOM element.');
+    if (!element || typeof element != 'object' || element.nodeType != 1) {
+        this.onError(new TreeJSError('DOM_FAILURE', 'Selection changed but unable to restyle node. Invalid DOM element.', '_restyleSelectedNode', arguments));
         return false;
     }
     
     var nodeClassRegex = new RegExp('\\s?' + this.template.className + '\\-selectedNode', 'gi');
     
-    // Modify CSS class attribute to change styling:
+    // Remove the styling first to avoid duplication of CSS classes:
     element.className = element.className.replace(nodeClassRegex, '');
     
+    if (isSelected) {
+        element.className += ' ' + this.template.className + '-selectedNode';
+    }
+    
+    element.setAttribute('aria-selected', isSelected ? 'true' : 'false');
+    
     return true;
 }
 
@@ -1065,81 +1502,37 @@ TreeJS.prototype.removeFromSelection = function(nodeId) {
  * Selects a single node and deselects the rest.
  * 
  * @param {String} nodeId A valid ID of a node to select.
- * @returns {Boolean} TRUE on success; FALSE on failure.
+ * @returns {Boolean} TRUE on success; FALSE on failure or if vetoed.
  */
 
 TreeJS.prototype.selectSingle = function(nodeId) {
     
-    // Node must exist:
-    // (Please note that this verification is performed once again in 
-    //  addToSelection, but it is important to do it here as well in order to
-    //  throw an error before actually invoking selectNone!
-    //  Also, there's little use to check for nodeId variable type...)
-    if (!this.nodes[nodeId]) {
-        this.onError('Unable to remove node from selection. The node does not exist.');
-        return false;
-    }
-    
-    // First of all deselect all nodes:
-    if (!this.selectNone()) {
-        this.onError('Failed to select a single element. Selection cleanup failed.');
-        return false;
-    }
-    
-    // Now reselect the node:
-    if (!this.addToSelection(nodeId)) {
-        this.onError('Failed to select a single element. Adding to selection failed.');
-        return false;
-    }
+    return this.model.selectSingle(nodeId);
     
-    return true;
 }
 
 /**
  * Selects all available nodes.
  * 
- * @returns {Boolean} TRUE on success; FALSE on failure.
+ * @returns {Boolean} TRUE on success; FALSE on failure or if vetoed.
  */
 
 TreeJS.prototype.selectAll = function() {
     
-    // Iterate through all available nodes:
-    for (var nodeId in this.nodes) {
-        
-        // Attempt to add currently iterated node to selection
-        // or throw an error to avoid multiple error messages:
-        if (!this.addToSelection(nodeId)) {
-            this.onError('Failed to add all nodes to selection.');
-            return false;
-        }
-        
-    }
+    return this.model.selectAll();
     
-    return true;
 }
 
 /**
  * Deselects all selected nodes.
  * 
- * @returns {Boolean} TRUE on success; FALSE on failure.
+ * @returns {Boolean} TRUE on success; FALSE on failure or if vetoed.
  */
 
 TreeJS.prototype.selectNone = function() {
     
-    // Iterate through current node selection list:
-    //  - We're using "while" loop because node removal from selection
-    //    modifies the selection array length and "for" loop messes up...
-    while (this.selection.length > 0) {
-        
-        // Attempt to remove currently iterated node from selection
-        // or throw an error to avoid infinite loop or multiple error messages:
-        if (!this.removeFromSelection(this.selection[0])) {
-            this.onError('Failed to remove all selected nodes from selection.');
-            return false;
-        }
-    }
+    return this.model.selectNone();
     
-    return true;
 }
 
 /**
@@ -1158,7 +1551,7 @@ TreeJS.prototype.selectionEventHandler = function(e, nodeId) {
     var ClickInfo = this._getClickInfo(e);
     
     if (!e || !ClickInfo) {
-        this.onError('Unable to proceed with selection. Event undefined.');
+        this.onError(new TreeJSError('INVALID_ARGUMENT', 'Unable to proceed with selection. Event undefined.', 'selectionEventHandler', arguments));
         return false;
     }
     
@@ -1171,20 +1564,25 @@ TreeJS.prototype.selectionEventHandler = function(e, nodeId) {
             // adds non-selected items and removes selected ones:
             case 'ctrl' :
                 this.changeSelection(this.isSelected(nodeId) ? 'remove' : 'add', nodeId);
+                this.selectionAnchorId = nodeId;
                 break;
             
             // Selecting while Shift is pressed
-            // selects a range from the first item to the last:
+            // selects a range from the anchor to the item:
             case 'shift' :
-                this.changeSelection('range', this.selection[0] || nodeId, nodeId);
+                this.changeSelection('range', this.selectionAnchorId || this.selection[0] || nodeId, nodeId);
                 break;
             
             // Simple selection selects one item and deselects the rest:
             default :
                 this.changeSelection('single', nodeId);
+                this.selectionAnchorId = nodeId;
             
         }
         
+        // Keyboard navigation continues from the clicked row:
+        this._setFocusedNode(nodeId, true);
+        
     }
     
     // Must not let the click bubble up:
@@ -1196,53 +1594,13 @@ TreeJS.prototype.selectionEventHandler = function(e, nodeId) {
  * 
  * @param {String} startNodeId A valid ID of a node where selection will start.
  * @param {String} endNodeId A valid ID of a node where selection will end.
- * @returns {Boolean} TRUE on successful selection; FALSE on failure.
+ * @returns {Boolean} TRUE on successful selection; FALSE on failure or if vetoed.
  */
 
 TreeJS.prototype.selectRange = function(startNodeId, endNodeId) {
     
-    if (!this.nodes[startNodeId]) {
-        this.onError('Unable to select range. The range start node does not exist.');
-        return false;
-    }
-    
-    if (!this.nodes[endNodeId]) {
-        this.onError('Unable to select range. The range end node does not exist.');
-        return false;
-    }
-    
-    // Clear up selection before selecting range:
-    this.selectNone();
-    
-    // Figure out positions of nodes which mark the selection range edges:
-    for (var nodePosInSequence in this.nodeSequence) {
-        
-        if (this.nodeSequence[nodePosInSequence] == startNodeId) {
-            var startNodePos = parseInt(nodePosInSequence, 10);
-        }
-        
-        if (this.nodeSequence[nodePosInSequence] == endNodeId) {
-            var endNodePos = parseInt(nodePosInSequence, 10);
-        }
-        
-    }
-    
-    // Handling selection from bottom to top:
-    if (startNodePos > endNodePos) {
-        
-        var temp = endNodePos;
-        
-        endNodePos = startNodePos;
-        startNodePos = temp;
-        
-    }
-    
-    // Finally iterate through the positions and add nodes to selection:
-    for (var pos = startNodePos; pos <= endNodePos; pos++) {
-        this.addToSelection(this.nodeSequence[pos]);
-    }
+    return this.model.selectRange(startNodeId, endNodeId);
     
-    return true;
 }
 
 /**
@@ -1254,9 +1612,7 @@ TreeJS.prototype.selectRange = function(startNodeId, endNodeId) {
 
 TreeJS.prototype.isSelected = function(nodeId) {
     
-    return (this.inSelection(nodeId) === false)
-        ? false
-        : true;
+    return this.model.isSelected(nodeId);
     
 }
 
@@ -1269,29 +1625,13 @@ TreeJS.prototype.isSelected = function(nodeId) {
 
 TreeJS.prototype.inSelection = function(nodeId) {
     
-    // Check existence and validity of selection property:
-    if (!this.selection || typeof this.selection != 'object') {
-        this.onError('Unable to check if a node is selected. Selection property invalid or undefined.');
-        return false;
-    }
-    
-    // Iterate through current selecton:
-    //  - Not using a "for ... in" loop because it would generate position as String
-    var selection_length = this.selection.length;
-    for (var position = 0; position < selection_length; position++) {
-        
-        if (this.selection[position] == nodeId) {
-            return position;
-        }
-        
-    }
+    return this.model.inSelection(nodeId);
     
-    return false;
 }
 
 /* ========================= PRIVATE PROPERTIES ========================== */
 
-TreeJS.prototype._createDir = function(nodeId, data) {
+TreeJS.prototype._createDir = function(nodeId) {
     
     for (var columnId in this.template.columns)
     {
@@ -1306,49 +1646,84 @@ TreeJS.prototype._createDir = function(nodeId, data) {
             cell.expanderNode.className = this.template.className + '-expandController -expand';
             cell.selectorNode.className = this.template.className + '-selectController';
             
+            // The state is announced by the row (aria-expanded), and arrow keys do the job:
+            cell.expanderNode.setAttribute('aria-hidden', 'true');
+            
             var that = this;
             
-            cell.expanderNode.onclick = function(){that.toggleBranch(nodeId);that._cancelBubble();}
+            // Handlers look the ID up, since it changes when the node is moved or renamed:
+            var row = this.nodes[nodeId];
             
-            cell.selectorNode.ondblclick = function() {that.toggleBranch(nodeId);}
-            cell.selectorNode.onclick = function(e){that.selectionEventHandler(e, nodeId);}
+            cell.expanderNode.onclick = function(){that.toggleBranch(row.nodeId);that._cancelBubble();}
+            
+            cell.selectorNode.ondblclick = function() {that._activateNode(row.nodeId);}
+            cell.selectorNode.onclick = function(e){that.selectionEventHandler(e, row.nodeId);}
             cell.selectorNode.onmousedown = function(){return false;}
             
             
             cell.containerNode.appendChild(cell.expanderNode);
+            
+            if (this.template.selectionMode == 'checkbox') {
+                cell.containerNode.appendChild(cell.checkboxNode = this._createCheckbox(row));
+            }
+            
             cell.containerNode.appendChild(cell.selectorNode);
             
             
             cell.containerNode.className = this.template.className + '-' + columnId;
             
-            if (data['__className']) {
-                cell.containerNode.className += ' ' + data['__className'];
+            if (this.rowClassNames[nodeId]) {
+                cell.containerNode.className += ' ' + this.rowClassNames[nodeId];
             }
             
-            var levelDepth = nodeId.split(this.DIR_SEPARATOR).length - 2;
-            
-            cell.containerNode.style.paddingLeft = (18 * levelDepth) + 'px';
-            
             this.nodes[nodeId].rowNode.appendChild(cell.containerNode);
             
+            this._indentRow(nodeId);
+            
         } else {
             
             var cell = this.nodes[nodeId].cells[columnId] = document.createElement('td');
             cell.className = this.template.className + '-' + columnId;
             
-            if (data['__className']) {
-                cell.className += ' ' + data['__className'];
+            if (this.rowClassNames[nodeId]) {
+                cell.className += ' ' + this.rowClassNames[nodeId];
             }
             
             this.nodes[nodeId].rowNode.appendChild(cell);
             
         }
         
-        this.setCellValue(nodeId, columnId, data[columnId]);
+        this._renderCell(nodeId, columnId);
+    }
+}
+
+/**
+ * Indents the name cell of a row in accordance with the depth of the node,
+ * and announces the depth (aria-level).
+ * 
+ * Leaves are indented a bit further, since they don't have an expander.
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of a rendered node.
+ * @returns {Void}
+ */
+
+TreeJS.prototype._indentRow = function(nodeId) {
+    
+    var cell = this.nodes[nodeId].cells['name'];
+    var levelDepth = this.model.getDepthOf(nodeId);
+    
+    this.nodes[nodeId].rowNode.setAttribute('aria-level', levelDepth + 1);
+    
+    if (!cell) {
+        return;
     }
+    
+    cell.containerNode.style.paddingLeft = (this.isDir(nodeId) ? 0 : 18) + (18 * levelDepth) + 'px';
+    
 }
 
-TreeJS.prototype._createLeaf = function(nodeId, data)
+TreeJS.prototype._createLeaf = function(nodeId)
 {
     for (var columnId in this.template.columns)
     {
@@ -1367,22 +1742,28 @@ TreeJS.prototype._createLeaf = function(nodeId, data)
             
             var that = this;
             
+            // Handlers look the ID up, since it changes when the node is moved or renamed:
+            var row = this.nodes[nodeId];
+            
             cell.selectorNode.onmousedown = function(){return false;}
-            cell.selectorNode.onclick = function(e){that.selectionEventHandler(e, nodeId);}
+            cell.selectorNode.ondblclick = function() {that._activateNode(row.nodeId);}
+            cell.selectorNode.onclick = function(e){that.selectionEventHandler(e, row.nodeId);}
             
-            cell.containerNode.appendChild(this.nodes[nodeId].cells[columnId].selectorNode);
+            if (this.template.selectionMode == 'checkbox') {
+                cell.containerNode.appendChild(cell.checkboxNode = this._createCheckbox(row));
+            }
             
-            var levelDepth = nodeId.split(this.DIR_SEPARATOR).length - 1;
+            cell.containerNode.appendChild(this.nodes[nodeId].cells[columnId].selectorNode);
             
             cell.containerNode.className = this.template.className + '-' + columnId;
             
-            if (data['__className']) {
-                cell.containerNode.className += ' ' + data['__className'];
+            if (this.rowClassNames[nodeId]) {
+                cell.containerNode.className += ' ' + this.rowClassNames[nodeId];
             }
             
-            cell.containerNode.style.paddingLeft = 18 + (18 * levelDepth) + 'px';
-            
             this.nodes[nodeId].rowNode.appendChild(cell.containerNode);
+            
+            this._indentRow(nodeId);
         
         } else {
             
@@ -1390,15 +1771,15 @@ TreeJS.prototype._createLeaf = function(nodeId, data)
             
             cell.className = this.template.className + '-' + columnId;
             
-            if (data['__className']) {
-                cell.className += ' ' + data['__className'];
+            if (this.rowClassNames[nodeId]) {
+                cell.className += ' ' + this.rowClassNames[nodeId];
             }
             
             this.nodes[nodeId].rowNode.appendChild(cell);
             
         }
         
-        this.setCellValue(nodeId, columnId, data[columnId] || null);
+        this._renderCell(nodeId, columnId);
     }
 }
 
@@ -1414,19 +1795,19 @@ TreeJS.prototype.setHeader = function() {
     // Do not attempt to set header if it has been disabled in the template:
     // (this actually throws an error, so you need to do a template check before calling this function)
     if (this.template.disableHeader) {
-        this.onError('Unable to set header. Header is marked as disabled in the template.');
+        this.onError(new TreeJSError('INVALID_TEMPLATE', 'Unable to set header. Header is marked as disabled in the template.', 'setHeader', arguments));
         return false;
     }
     
     // The tree must have a valid container node:
     if (!this.containerNode || this.containerNode.nodeType != 1) {
-        this.onError('Unable to set header. Tree not initialized or container node is missing.');
+        this.onError(new TreeJSError('INVALID_STATE', 'Unable to set header. Tree not initialized or container node is missing.', 'setHeader', arguments));
         return false;
     }
     
     // Remove and clean up header if it's been previously defined:
     if (!this.removeHeader()) {
-        this.onError('Unable to set header. Failed cleaning up the obsolete header.');
+        this.onError(new TreeJSError('DOM_FAILURE', 'Unable to set header. Failed cleaning up the obsolete header.', 'setHeader', arguments));
         return false;
     }
     
@@ -1437,6 +1818,13 @@ TreeJS.prototype.setHeader = function() {
         cells : {}
     }
     
+    this.header.rowNode.setAttribute('role', 'row');
+    
+    // Virtual trees number their rows, since most of them aren't rendered:
+    if (this.template.virtual) {
+        this.header.rowNode.setAttribute('aria-rowindex', 1);
+    }
+    
     var columnPosition = 0;
     
     for (var columnId in this.template['columns']) {
@@ -1455,11 +1843,11 @@ TreeJS.prototype.setHeader = function() {
         this.containerNode.insertBefore(this.header.containerNode, this.bodyNode);
         
     } catch(e) {
-        this.onError('Failed to set header. ' + e);
+        this.onError(new TreeJSError('DOM_FAILURE', 'Failed to set header. ' + e, 'setHeader', arguments, e));
         return false;
     }
     
-    return true;
+    return this._renderSortState();
 }
 
 
@@ -1478,7 +1866,7 @@ TreeJS.prototype._addHeaderCell = function(columnId, columnPosition) {
     
     // Header must be initialized before calling this function:
     if (!this.header) {
-        this.onError('Unable to add header cell. Header is not initialized.');
+        this.onError(new TreeJSError('INVALID_STATE', 'Unable to add header cell. Header is not initialized.', '_addHeaderCell', arguments));
         return false;
     }
     
@@ -1493,7 +1881,7 @@ TreeJS.prototype._addHeaderCell = function(columnId, columnPosition) {
     
     try {
     
-        cell.controllerNode.title = 'Click to sort this table by ' + columnTitle;
+        cell.controllerNode.title = 'Click to sort this table by ' + columnTitle + ', Shift+click to add it as a secondary key';
         cell.controllerNode.innerHTML = columnTitle;
         
         var that = this;
@@ -1501,17 +1889,38 @@ TreeJS.prototype._addHeaderCell = function(columnId, columnPosition) {
         cell.controllerNode.onmousedown = function() {
             return false;
         }
-        cell.controllerNode.onclick = function() {
-            that.toggleSortBy(columnId);
-            that._cancelBubble();
+        cell.controllerNode.onclick = function(e) {
+            
+            var e = e || window.event;
+            
+            that._emit('headerClicked', columnId, e);
+            
+            // Shift+click adds a sort key instead of replacing them:
+            that.toggleSortBy(columnId, !!(e && e.shiftKey));
+            that._cancelBubble(e);
+            
         }
         
-        cell.containerNode.className = this.template.className + '-' + columnId;
-        
-        if (this.template.sortColumn == columnId) {
-            cell.containerNode.className += ' ' + this.template.className + '-sort' + this.template.sortOrder;
+        // Sorting must be available from the keyboard as well:
+        cell.controllerNode.setAttribute('role', 'button');
+        cell.controllerNode.tabIndex = 0;
+        cell.controllerNode.onkeydown = function(e) {
+            
+            var e = e || window.event;
+            
+            // Header keys must not reach the row navigation of the table:
+            that._cancelBubble(e);
+            
+            if (e.keyCode == 13 || e.keyCode == 32) {
+                cell.controllerNode.onclick(e);
+                return false;
+            }
+            
         }
         
+        cell.containerNode.className = this.template.className + '-' + columnId;
+        cell.containerNode.setAttribute('role', 'columnheader');
+        
         // Append A to TH:
         cell.containerNode.appendChild(cell.controllerNode);
         
@@ -1519,7 +1928,7 @@ TreeJS.prototype._addHeaderCell = function(columnId, columnPosition) {
         this.header.rowNode.appendChild(cell.containerNode);
     
     } catch(e) {
-        this.onError('Failed to add header cell. ' + e);
+        this.onError(new TreeJSError('DOM_FAILURE', 'Failed to add header cell. ' + e, '_addHeaderCell', arguments, e));
         return false;
     }
     
@@ -1534,17 +1943,25 @@ TreeJS.prototype._addHeaderCell = function(columnId, columnPosition) {
 
 TreeJS.prototype.init = function() {
     
-    // Clean up and destroy the table node if it has been already set:
-    if (this.containerNode && !this._destroyElement(this.containerNode)) {
+    // Clean up and destroy the table node (and its viewport) if it has been already set:
+    if (this.containerNode && !this._destroyElement(this.viewportNode || this.containerNode)) {
         return false;
     }
     
     // Remove all node references:
     this.nodes = {}
-    // Reset node sequence:
-    this.nodeSequence = []
-    // Reset node selection:
-    this.selection = []
+    this.rowClassNames = {};
+    this.viewportNode = null;
+    this.visibleSequence = null;
+    this.toggledBranches = null;
+    this.focusedNodeId = null;
+    this.selectionAnchorId = null;
+    this.editState = null;
+    this.pendingScrollTop = null;
+    this.isViewStateDirty = false;
+    clearTimeout(this.viewStateTimer);
+    // Reset node data, sequence and selection:
+    this.model.clear();
     
     // (Re)create TBODY node:
     this.bodyNode = document.createElement('tbody');
@@ -1566,14 +1983,42 @@ TreeJS.prototype.init = function() {
     // (Re)create TABLE node:
     this.containerNode = document.createElement('table');
     
-    // Append TBODY to TABLE:
+    // Assistive technologies present the table as a tree with columns:
+    this.containerNode.setAttribute('role', 'treegrid');
+    this.containerNode.setAttribute('aria-multiselectable', 'true');
+    
+    if (this.template.label) {
+        this.containerNode.setAttribute('aria-label', this.template.label);
+    }
+    
+    // The table is a tab stop until a row gets the focus:
+    this.containerNode.tabIndex = 0;
+    this.containerNode.onkeydown = function(e) {
+        return that.keyboardEventHandler(e);
+    }
+    this.containerNode.onfocus = function() {
+        that._focusTree();
+    }
+    
+    // Append TBODY to TABLE:
     this.containerNode.appendChild(this.bodyNode);
     
+    // Virtual trees are rendered within a scrollable viewport:
+    if (this.template.virtual) {
+        this._initViewport();
+    }
+    
     // Attempt to set header
     if (!this.template.disableHeader && !this.setHeader()) {
-        this.onError('Failed to initialize. Header failure.');
+        this.onError(new TreeJSError('OPERATION_FAILED', 'Failed to initialize. Header failure.', 'init', arguments));
         return false;
     }
+    
+    // Trees with a state key are restored the way they have been left
+    // (a failure is reported, but the tree is usable anyway):
+    if (this.template.stateKey) {
+        this._loadViewState();
+    }
      
      return true;
 }
@@ -1610,263 +2055,2507 @@ TreeJS.prototype.removeHeader = function() {
 /**
  * Toggles tree node order by a specified column.
  * 
- * This property figures out sortBy and sortOrder parameters and invokes the .sortBy() property.
+ * This property figures out the new sort spec and invokes the .sortBy() property.
  * 
  * @param {String} columnId A valid ID of a column (as in tree template).
+ * @param {Boolean} [addKey] If set to True - the column is added to the sort spec as the last key
+ *    (or its order is toggled if it's already there) instead of replacing the spec.
  * @returns {Boolean} TRUE on success; FALSE on failure.
  */
 
-TreeJS.prototype.toggleSortBy = function(columnId) {
+TreeJS.prototype.toggleSortBy = function(columnId, addKey) {
     
-    // Column ID argument must be a valid string and must exist in tree template:
-    if (typeof columnId != 'string' || !this.template.columns[columnId]) {
-        this.onError('Unable to reorder table. Column ID is invalid or doesn\'t exist in template.');
-        return false;
-    }
+    return this.model.toggleSortBy(columnId, addKey);
     
-    // We'll be sorting the tree by column specified in argument:
-    var newSortColumn = columnId;
+}
+
+/**
+ * Returns the current sort spec.
+ * 
+ * @returns {Array} Sort keys in order of priority (a copy): [{column: String, order: "asc" or "desc"}, ...]
+ */
+
+TreeJS.prototype.getSortSpec = function() {
     
-    // Figure out if caller wants to sort by the same or by another column:
-    if (this.template.sortColumn == columnId) {
-        
-        // We're sorting by the same column,
-        // so we need to toggle the sorting type (order):
-        var newSortOrder = (this.template.sortOrder.toLowerCase() == 'asc')
-            ? 'desc'
-            : 'asc';
-        
-    } else {
-        
-        // We're sorting by another column,
-        // so we need to maintain the sorting type (order):
-        var newSortOrder = this.template.sortOrder;
-        
-    }
+    return this.model.getSortSpec();
     
-    // Finally call the actual sorting function and return its result:
-    return this.sortBy(newSortColumn, newSortOrder);
 }
 
-
 /**
- * Reorders tree by new column and sort order parameters.
+ * Reorders tree by new column and sort order parameters, or by a sort spec with several keys, e.g.
+ * .sortBy([{column: 'status', order: 'asc'}, {column: 'first', order: 'desc'}])
  * 
- * @param {String} sortColumn A valid ID of a column (as in tree template).
- * @param {String} [sortOrder] Sorting order ("asc" or "desc").
+ * @param {String|Array} sortColumn A valid ID of a column (as in tree template),
+ *    or a sort spec: a list of {column, order} in order of priority.
+ * @param {String} [sortOrder] Sorting order ("asc" or "desc"); ignored with a sort spec.
  * @return {Boolean} TRUE on success; FALSE on failure.
  */
 
 TreeJS.prototype.sortBy = function(sortColumn, sortOrder) {
     
-    // Mandatory sortColumn argument must be string and must exist in the current tree template:
-    if (typeof sortColumn != 'string' || !this.template.columns[sortColumn]) {
-        this.onError('Unable to sort. Column ID argument (sortColumn) is missing, invalid or is not found in the template.');
-        return false;
-    }
+    // Rows are rearranged by the "sorted" handler of the model:
+    return this.model.sortBy(sortColumn, sortOrder);
     
-    // The sortOrder argument is optional,
-    // so if not provided - we use the current sortOrder instead:
-    var sortOrder = (typeof sortOrder == 'string')
-        ?    sortOrder
-        :    this.template.sortOrder;
+}
+
+/**
+ * Rearranges rows in accordance with the node sequence (in a single pass).
+ * 
+ * @private
+ * @return {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype._renderSequence = function() {
     
-    // Optional sortOrder argument must be string and must evaluate to "asc" or "desc" (case-insensitive):
-    // (this also serves as a double-check for template.sortOrder as there are no private properties in JS)
-    if (!sortOrder.toLowerCase() in {'asc': 1, 'desc': 1}) {
-        this.onError('Unable to sort. Sort order argument (sortOrder) must be "asc" or "desc".');
-        return false;
+    // Virtual trees redraw the whole viewport instead:
+    if (this.template.virtual) {
+        return this._invalidateViewport();
     }
     
-    // Attempt to update node sequence according to new sorting rules:
-    if (!this.updateNodeSequence(sortColumn, sortOrder)) {
-        this.onError('Unable to sort. Failure in node sequence updater.');
-        return false;
-    }
+    var nodeSequence = this.model.getNodeSequence();
     
     // Re-position nodes according to new sequence:
-    for (var nodePositionInSequence in this.nodeSequence) {
-        
-        // It's easier to read this way...
-        var nodeId = this.nodeSequence[nodePositionInSequence];
+    for (var i = 0; i < nodeSequence.length; i++) {
         
         // Try to append nodes one by one to the end of tBody:
         // (appendChild actually MOVES nodes, so no need to remove them from the DOM;
         //  it also throws exceptions, so we put it inside of a try-catch statement)
         try {
-            this.bodyNode.appendChild(this.nodes[nodeId].rowNode);
+            this.bodyNode.appendChild(this.nodes[nodeSequence[i]].rowNode);
         } catch(e) {
-            this.onError('Sort failed when rearranging nodes. ' + e);
+            this.onError(new TreeJSError('DOM_FAILURE', 'Sort failed when rearranging nodes. ' + e, '_renderSequence', arguments, e));
             return false;
         }
         
+        this._labelRowPosition(nodeSequence[i]);
+        
     }
     
-    /* We need to reset the styling of the current header node. */
+    return true;
+}
+
+/**
+ * Restyles the header in accordance with the current sort settings.
+ * 
+ * Every sorted column gets the "-sortasc" or "-sortdesc" class and the "-sortKey<N>" class,
+ * where N is the priority of the key (1 for the primary one). With more than one key,
+ * the priority is also put in the "data-sort-priority" attribute (to be displayed with CSS).
+ * 
+ * @private
+ * @return {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype._renderSortState = function() {
     
     // It is possible that header is disabled:
-    if (this.header) {
+    if (!this.header) {
+        return true;
+    }
+    
+    // Construct a regex that will serve to search and replace the class string used for node styling:
+    // (we are using a regex because the node can contain multiple classes)
+    var sortClassName_RegExp = new RegExp('\\s?' + this.template.className + '\\-sort(asc|desc|Key\\d+)', 'gi');
     
-        // Grab reference to the header node of the previously sorted column:
-        var oldSortHeaderNode = this.header.cells[this.template.sortColumn].containerNode;
+    for (var columnId in this.header.cells) {
+        
+        var headerNode = this.header.cells[columnId].containerNode;
+        
+        // Clear sort styling by removing sort classes from the node:
+        headerNode.className = headerNode.className.replace(sortClassName_RegExp, '');
+        headerNode.removeAttribute('aria-sort');
+        headerNode.removeAttribute('data-sort-priority');
+        
+    }
+    
+    var sortSpec = this.template.sortSpec;
+    
+    // Style the sorted columns:
+    for (var i = 0; i < sortSpec.length; i++) {
+        
+        if (!this.header.cells[sortSpec[i].column]) {
+            continue;
+        }
+        
+        var headerNode = this.header.cells[sortSpec[i].column].containerNode;
+        
+        headerNode.className += ' ' + this.template.className + '-sort' + sortSpec[i].order
+            + ' ' + this.template.className + '-sortKey' + (i + 1);
+        
+        if (sortSpec.length > 1) {
+            headerNode.setAttribute('data-sort-priority', i + 1);
+        }
+        
+        // Only the primary column has aria-sort:
+        if (i == 0) {
+            headerNode.setAttribute('aria-sort', sortSpec[i].order == 'desc' ? 'descending' : 'ascending');
+        }
         
-        // Construct a regex that will serve to search and replace the class string used for node styling:
-        // (we are using a regex because the node can contain multiple classes)
-        // (this solution is no perfect...)
-        var oldClassName_RegExp = new RegExp('\\s?' + this.template.className + '\\-sort' + this.template.sortOrder, 'gi');
+    }
+    
+    return true;
+}
+
+/* ============================ FILTERING ============================ */
+
+/**
+ * Filters the tree, so that only matching nodes and their ancestors are visible, e.g.
+ * .filter({column: 'name', query: 'report'}) or .filter(function(nodeId, row) { return row.first > 5; })
+ * 
+ * Closed ancestors of matches are opened until the filter is cleared, and matches of a query
+ * are highlighted in the names. See TreeModel.filter() for details.
+ * 
+ * @param {Function|Object|Null} criteria A predicate(nodeId, row) returning a Boolean, or {column, query};
+ *    the column is "name" if omitted. Null (or an empty query) clears the filter.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype.filter = function(criteria) {
+    
+    // Rows are shown and hidden by the "filtered" handler of the model:
+    return this.model.filter(criteria);
+    
+}
+
+/**
+ * Clears the filter and closes the folders it has opened.
+ * 
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype.clearFilter = function() {
+    
+    return this.model.clearFilter();
+    
+}
+
+/**
+ * Returns the criteria of the active filter.
+ * 
+ * @returns {Function|Object|Null} The predicate or {column, query}; Null if the tree isn't filtered.
+ */
+
+TreeJS.prototype.getFilter = function() {
+    
+    return this.model.getFilter();
+    
+}
+
+/**
+ * Shows and hides all rows in accordance with the active filter (or the lack of it),
+ * and redraws the names, so that only the current matches are highlighted.
+ * 
+ * @private
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
 
-        // Clear sort styling by remove sort class from the node:
-        oldSortHeaderNode.className = oldSortHeaderNode.className.replace(oldClassName_RegExp, '');
+TreeJS.prototype._renderFilter = function() {
+    
+    // An editor of a row that gets hidden is dropped:
+    if (this.editState && !this.model.isVisible(this.editState.nodeId)) {
+        this._cancelEdit();
+    }
+    
+    for (var nodeId in this.nodes) {
+        
+        var isEdited = this.editState && this.editState.nodeId == nodeId && this.editState.columnId == 'name';
         
-        // Grab reference to the header node of the new sorted column:
-        var newSortHeaderNode = this.header.cells[sortColumn].containerNode;
+        if (this.template.columns['name'] && !isEdited && !this._renderCell(nodeId, 'name')) {
+            return false;
+        }
         
-        // Predefine new class name:
-        // (we're adding a space in front of class name because node can has multiple classes)
-        var newClassName = ' ' + this.template.className + '-sort' + sortOrder;
+        if (!this.template.virtual) {
+            this.nodes[nodeId].rowNode.style.display = this.model.isVisible(nodeId) ? 'table-row' : 'none';
+        }
         
-        // Now append the new class name to the node class:
-        newSortHeaderNode.className += newClassName;
+    }
+    
+    // The focus can't stay on a hidden row:
+    if (this.focusedNodeId && !this.model.isVisible(this.focusedNodeId)) {
+        this._setFocusedNode(null, false);
+    }
+    
+    // Virtual trees redraw the whole viewport instead:
+    return !this.template.virtual || this._invalidateViewport();
+}
+
+/**
+ * Shows or hides the row of a node and the rows of its ancestors in accordance with the active filter,
+ * e.g. after the node has been added or has started to match.
+ * 
+ * Only the node and its ancestors might have started (or stopped) passing the filter,
+ * so the rest of the rows is left as it is.
+ * 
+ * @private
+ * @param {String} nodeId A valid node ID (the node itself might have been removed already).
+ * @returns {Boolean} Always TRUE.
+ */
+
+TreeJS.prototype._renderFilteredPath = function(nodeId) {
     
+    // Virtual trees redraw the whole viewport anyway:
+    if (!this.model.getFilter() || this.template.virtual) {
+        return true;
     }
     
-    // Finally update tree properties:
-    this.template.sortColumn = sortColumn;
-    this.template.sortOrder = sortOrder;
+    for (var id = nodeId; id; id = this.getParentIdOf(id)) {
+        if (this.nodes[id]) {
+            this.nodes[id].rowNode.style.display = this.model.isVisible(id) ? 'table-row' : 'none';
+        }
+    }
     
     return true;
 }
 
-
 /**
- * Generates a sequence of nodes where directories and parent nodes appear before children and leaves.
+ * Escapes a text and wraps every (case-insensitive) occurrence of a query in a <mark> element.
  * 
  * @private
- * @param {Array} data List of nodes to sort hierarchicaly.
- *     Must be constructed as: [[nodeId1, fieldVal1], [nodeId2,fieldVal2], ...]
- * @param {String} level Optional node depth level (path). Used for recursion, but
- *     can also be used if you want to obtain sequence inside a specified level.
- * @param {Array} sequence Optional node sequence. Used for recursion, but
- *     can also be used to append the resulting sequence to your own sequence.
- * @returns {Array} Sequence of nodes as follows: [nodeId1, nodeId2, ...]
+ * @param {String} text A text to process.
+ * @param {String} query A non-empty query.
+ * @returns {String} The HTML.
  */
 
-TreeJS.prototype._sortByHierarchy = function(data, level, sequence) {
+TreeJS.prototype._highlightMatches = function(text, query) {
     
-    // The data argument must be an array:
-    // (array type evaluates as 'object' in JS; also beware of null)
-    if (typeof data != 'object' || data == null) {
-        this.onError('Unable to sort by hierarchy. Original node sequence is missing or invalid.');
-        return false;
+    var lowerText = text.toLowerCase();
+    var lowerQuery = query.toLowerCase();
+    var html = '';
+    var start = 0;
+    
+    for (var position = lowerText.indexOf(lowerQuery); position != -1; position = lowerText.indexOf(lowerQuery, start)) {
+        
+        html += (this._htmlSpecialChars(text.substring(start, position)) || '')
+            + '<mark class="' + this.template.className + '-match">'
+            + this._htmlSpecialChars(text.substr(position, query.length))
+            + '</mark>';
+        
+        start = position + query.length;
+        
     }
     
-    // The level argument is optional. Must be string or null if not set:
-    var level = (typeof level == 'string' && level.length > 0) ? level : null;
+    return html + (this._htmlSpecialChars(text.substr(start)) || '');
+}
+
+/* ========================== MODEL RENDERING ========================== */
+
+/**
+ * Subscribes the tree to the changes of its model.
+ * 
+ * @private
+ * @returns {Void}
+ */
+
+TreeJS.prototype._bindModel = function() {
     
-    // The sequence argument is optional. Must always be an array:
-    var sequence = (typeof sequence == 'object') ? sequence : [];
+    // Model handlers are invoked in the context of the model,
+    // so we need to create a reference to "this":
+    var that = this;
     
-    // Iterate through data, but work with directories only:
-    for (var order in data) {
+    this.model.on('nodeAdded', function(nodeId, nodeData) {
         
-        // Data must be constructed as: [[nodeId1, fieldVal1], [nodeId2,fieldVal2], ...]
-        // if it's not - abort sorting:
-        if (!data[order][0]) {
-            this.onError('Unable to sort by hierarchy. Original node sequence format is invalid.');
+        if (!that._insertRow(nodeId, nodeData) || !that._renderFilteredPath(nodeId)) {
             return false;
         }
         
-        // Grab path:
-        var path = data[order][0];
+        that._emit('nodeAdded', nodeId, nodeData);
+        
+    });
+    this.model.on('nodeUpdated', function(nodeId, changedColumns) {
+        that._emit('nodeUpdated', nodeId, changedColumns);
+    });
+    this.model.on('nodeRemoved', function(nodeId) {
         
-        // Figure out parent by extracting a portion of path up to last* directory separator:
-        // (* please note that the path itself can be a directory, so avoid that trailing directory separator)
-        var parent = path.substr(0, path.substr(0, path.length - 1).lastIndexOf(this.DIR_SEPARATOR) + 1) || null;
+        if (!that._removeRow(nodeId)) {
+            return false;
+        }
         
-        // Only work with directories within current level:
-        if (parent != level || !this.isDir(path)) continue;
+        that._labelSiblingPositions(that.getParentIdOf(nodeId));
         
-        // Add current node to sequence:
-        sequence.push(path);
+        // The former ancestors might have lost their only match:
+        that._renderFilteredPath(that.getParentIdOf(nodeId));
         
-        // We're now working with a directory
-        // so we'll need to reiterate the same function
-        // for all lower levels of the current directory:
-        var subLevel = path.substr(0, (level == null)
-            ?    path.indexOf(this.DIR_SEPARATOR) + 1
-            :    path.indexOf(this.DIR_SEPARATOR, level.length) + 1
-        );
+        that._emit('nodeRemoved', nodeId);
         
-        // Now relaunch this function for the sublevel
-        var subLevelSequence = this._sortByHierarchy(data, subLevel, sequence);
+    });
+    this.model.on('nodeMoved', function(nodeId, newNodeId, renamedIds) {
         
-        // Terminate if iterating sublevel fails:
-        // (must be a type comparison as the routine
-        //  might return an empty sequence which evaluates as false)
-        if (subLevelSequence === false) {
-            // There's no need to throw an error message
-            // because the routine have already handled it
-            // and because we'd better avoid onError multiplication.
+        if (!that._moveRow(nodeId, newNodeId, renamedIds)) {
             return false;
         }
         
-        // and add the resulting sequence to the final sequence:
-        sequence.concat(subLevelSequence);
-    }
-    
-    // Iterate through data, but work with leaves only:
-    for (var order in data) {
+        that._renderFilteredPath(that.getParentIdOf(nodeId));
+        that._renderFilteredPath(newNodeId);
+        
+        // The new siblings have been relabeled when the row was put in place:
+        that._labelSiblingPositions(that.getParentIdOf(nodeId));
+        
+        that._emit('nodeMoved', nodeId, newNodeId);
+        
+    });
+    this.model.on('cellChanged', function(nodeId, columnId) {
+        
+        // (the node might have started or stopped matching the active filter)
+        if (!that._renderCell(nodeId, columnId) || !that._renderFilteredPath(nodeId)) {
+            return false;
+        }
         
-        /* There's no need to validate data as it was already done in the previous "for" loop... */
+        // A change of the sort value moves the row,
+        // unless rows are repositioned all at once when a batch ends:
+        return (!that.model.isSortColumn(columnId) || that.model.isUpdating())
+            || that.updateNodePosition(nodeId);
+    });
+    this.model.on('branchOpened', function(nodeId) {
         
-        // Grab path:
-        var path = data[order][0];
+        if (!that._showBranch(nodeId) || !that._labelSiblingPositions(nodeId)) {
+            return false;
+        }
+        
+        that._emit('branchOpened', nodeId);
+        
+    });
+    this.model.on('branchClosed', function(nodeId) {
+        
+        if (!that._hideBranch(nodeId)) {
+            return false;
+        }
+        
+        // The focus can't stay on a hidden row, so it moves to the closed folder:
+        if (that.focusedNodeId && !that.model.isVisible(that.focusedNodeId)) {
+            that._setFocusedNode(nodeId, !!that.nodes[that.focusedNodeId] && document.activeElement == that.nodes[that.focusedNodeId].rowNode);
+        }
+        
+        that._emit('branchClosed', nodeId);
+        
+    });
+    this.model.on('loadStarted', function(nodeId) {
+        return that._restyleBranch(nodeId);
+    });
+    this.model.on('loadEnded', function(nodeId) {
+        return that._restyleBranch(nodeId);
+    });
+    this.model.on('loadFailed', function(nodeId) {
+        return that._restyleBranch(nodeId);
+    });
+    this.model.on('sorted', function(columnId, sortOrder, sortSpec) {
+        
+        if (!that._renderSequence() || !that._renderSortState()) {
+            return false;
+        }
+        
+        that._emit('sorted', columnId, sortOrder, sortSpec);
+        
+    });
+    this.model.on('filtered', function(criteria) {
+        
+        if (!that._renderFilter()) {
+            return false;
+        }
+        
+        that._emit('filtered', criteria);
+        
+    });
+    this.model.on('sequenceChanged', function() {
+        return that._renderSequence();
+    });
+    this.model.on('updateEnded', function() {
+        
+        // Branches opened or closed within the batch are redrawn at once:
+        if (that.toggledBranches && !that._renderBranches()) {
+            return false;
+        }
+        
+        // Virtual trees postpone redrawing until the batch ends:
+        if (that.template.virtual && !that.visibleSequence && !that._renderViewport()) {
+            return false;
+        }
+        
+        // A scroll position restored before the rows have been added is applied now:
+        if (!that._restoreScrollTop()) {
+            return false;
+        }
+        
+        // The view state changed within the batch is saved once:
+        if (that.isViewStateDirty) {
+            that._saveViewState();
+        }
         
-        // Figure out parent by extracting a portion of path up to last* directory separator:
-        // (* please note that the path itself can be a directory, so avoid that trailing directory separator)
-        var parent = path.substr(0, path.substr(0, path.length - 1).lastIndexOf(this.DIR_SEPARATOR) + 1) || null;
+    });
+    this.model.on('selected', function(nodeId) {
+        return that._restyleSelectedNode(nodeId, true);
+    });
+    this.model.on('deselected', function(nodeId) {
+        return that._restyleSelectedNode(nodeId, false);
+    });
+    this.model.on('selectionChanged', function(selection) {
         
-        // Only work with leaves within current level:
-        if (parent != level || this.isDir(path)) continue;
+        if (typeof that.onSelectionChange == 'function') {
+            that.onSelectionChange(selection);
+        }
         
-        // Add current node to sequence:
-        sequence.push(path);
+        that._emit('selectionChanged', selection);
         
+    });
+    this.model.on('checkStateChanged', function(nodeId) {
+        return that._renderCheckState(nodeId);
+    });
+    this.model.on('checkedChanged', function() {
+        that._emit('checkedChanged');
+    });
+    this.model.on('error', function(error) {
+        that.onError(error);
+    });
+    
+    // Trees with a state key save their view state whenever it changes
+    // (a failure to save is reported, but doesn't fail the change itself):
+    //  - Every selection method of the model ends with "selectionChanged", so "selected"
+    //    and "deselected" of a single change don't have to save the state one by one
+    var saveViewState = function() {
+        that._saveViewState();
+    };
+    
+    this.model.on('branchOpened', saveViewState);
+    this.model.on('branchClosed', saveViewState);
+    this.model.on('selectionChanged', saveViewState);
+    this.model.on('sorted', saveViewState);
+    
+    // Subscribers of the tree get to veto actions of the model:
+    var cancelableEvents = ['beforeBranchOpen', 'beforeBranchClose', 'beforeSort', 'beforeSelectionChange', 'beforeNodeRemove'];
+    
+    for (var i = 0; i < cancelableEvents.length; i++) {
+        this.model.on(cancelableEvents[i], this._createVetoRelay(cancelableEvents[i]));
     }
     
-    return sequence;
 }
 
+/**
+ * Creates a model handler which passes a cancelable event on to the tree subscribers.
+ * 
+ * @private
+ * @param {String} eventName A name of the cancelable event.
+ * @returns {Function} A model event handler.
+ */
+
+TreeJS.prototype._createVetoRelay = function(eventName) {
+    
+    var that = this;
+    
+    return function(event) {
+        return that._emit(eventName, event);
+    };
+    
+}
+
+/**
+ * Creates a row for a node which has been added to the model.
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of an added node.
+ * @param {Object} nodeData The original dataset of the node (used for "__className").
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype._insertRow = function(nodeId, nodeData) {
+    
+    if (nodeData['__className']) {
+        this.rowClassNames[nodeId] = nodeData['__className'];
+    }
+    
+    // Virtual trees only render rows within the viewport:
+    if (this.template.virtual) {
+        return this._invalidateViewport();
+    }
+    
+    this._buildRow(nodeId);
+    
+    // Children of collapsed nodes must not be visible:
+    if (!this.model.isVisible(nodeId)) {
+        this.nodes[nodeId].rowNode.style.display = 'none';
+    }
+    
+    // Rows added within a batch are appended for now
+    // and repositioned all at once when the batch ends:
+    if (this.model.isUpdating()) {
+        this.bodyNode.appendChild(this.nodes[nodeId].rowNode);
+        return true;
+    }
+    
+    // The new node must be positioned correctly within the tree:
+    return this.updateNodePosition(nodeId);
+}
 
 /**
- * Custom bubble sort function.
+ * Builds a (detached) row of a node together with its cells.
  * 
  * @private
- * @param {Boolean} reverse  If set to True - the sorting order will be reversed.
- * @returns {Integer} -1 or 0 or 1
+ * @param {String} nodeId A valid ID of a node.
+ * @returns {Object} The row DOM element.
  */
 
-TreeJS.prototype._customSort = function(reverse) {
+TreeJS.prototype._buildRow = function(nodeId) {
+    
+    // Create a boilerplate entry in the tree node container:
+    this.nodes[nodeId] = {
+        nodeId: nodeId,
+        rowNode: document.createElement('tr'),
+        cells: {},
+        renderedValues: {}
+    };
+    
+    // Allows to find the node of a row, e.g. the one under a pointer:
+    this.nodes[nodeId].rowNode.setAttribute('data-node-id', nodeId);
+    
+    // Rows can be focused, but only the focused one is a tab stop:
+    this.nodes[nodeId].rowNode.tabIndex = -1;
     
-    // Figure out the reverse modifier:
-    var reverse = (reverse) ? -1 : 1;
+    this.nodes[nodeId].rowNode.setAttribute('role', 'row');
+    this.nodes[nodeId].rowNode.setAttribute('aria-selected', 'false');
     
-    return function(a, b) {
+    // Now figure out what is the node type and act accordingly:
+    if (this.isDir(nodeId)) {
         
-        // The function requires the a and b arguments to be non-null objects:
-        if (typeof a != 'object' || a == null || typeof b != 'object' || b == null) {
-            this.onError('Bubble sort failure. Invalid argument(s).');
-            return 0;
-        }
+        // Must be styled as folder:
+        this.nodes[nodeId].rowNode.className = this.template.className + '-folder';
+        
+        // Finally create a folder (directory):
+        this._createDir(nodeId);
+        
+        this._restyleBranch(nodeId);
+        
+    } else {
+        
+        // Must be styled as leaf:
+        this.nodes[nodeId].rowNode.className = this.template.className + '-leaf';
         
-        var x = (typeof a[1] == 'string') ? a[1].toLowerCase() : a[1];
-        var y = (typeof b[1] == 'string') ? b[1].toLowerCase() : b[1];
+        // Finally create a leaf:
+        this._createLeaf(nodeId);
         
-        return (x < y) ? reverse * -1 : (x > y) ? reverse : 0;
     }
-}
-
-/* ========================== UTILITY METHODS ========================== */
+    
+    if (this.isSelected(nodeId)) {
+        this._restyleSelectedNode(nodeId, true);
+    }
+    
+    this._renderCheckState(nodeId);
+    
+    if (this.template.dragAndDrop) {
+        this._bindDragAndDrop(nodeId);
+    }
+    
+    this._bindCellEditors(nodeId);
+    
+    if (nodeId == this.focusedNodeId) {
+        this._setFocusedNode(nodeId, false);
+    }
+    
+    return this.nodes[nodeId].rowNode;
+}
+
+/**
+ * Destroys a row of a node which has been removed from the model.
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of a removed node.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype._removeRow = function(nodeId) {
+    
+    delete this.rowClassNames[nodeId];
+    
+    if (nodeId == this.selectionAnchorId) {
+        this.selectionAnchorId = null;
+    }
+    
+    // The editor goes away along with the row:
+    if (this.editState && this.editState.nodeId == nodeId) {
+        this.editState = null;
+    }
+    
+    // The table becomes the tab stop once again:
+    if (nodeId == this.focusedNodeId) {
+        this._setFocusedNode(null, false);
+    }
+    
+    // Virtual trees only render rows within the viewport:
+    if (this.template.virtual) {
+        
+        if (this.nodes[nodeId]) {
+            this._destroyElement(this.nodes[nodeId].rowNode);
+            delete this.nodes[nodeId];
+        }
+        
+        return this._invalidateViewport();
+    }
+    
+    if (!this.nodes[nodeId]) {
+        this.onError(new TreeJSError('NODE_NOT_FOUND', 'Unable to remove row. Node reference not found.', '_removeRow', arguments));
+        return false;
+    }
+    
+    // Attempt to destroy the DOM element of the node container:
+    if (!this._destroyElement(this.nodes[nodeId].rowNode)) {
+        return false;
+    }
+    
+    // Delete the reference to the destroyed element:
+    delete this.nodes[nodeId];
+    
+    return true;
+}
+
+/**
+ * Re-keys rows of a node which has been moved or renamed (along with its descendants),
+ * re-indents them and puts them in place.
+ * 
+ * Rows are reused, so their styling (selection, open/closed state) is kept.
+ * 
+ * @private
+ * @param {String} nodeId The old ID of the node.
+ * @param {String} newNodeId The new ID of the node.
+ * @param {Object} renamedIds Old IDs of the subtree mapped to the new ones.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype._moveRow = function(nodeId, newNodeId, renamedIds) {
+    
+    var rows = {};
+    var classNames = {};
+    
+    // Collect first, since old and new IDs are processed in no particular order:
+    for (var oldId in renamedIds) {
+        
+        rows[oldId] = this.nodes[oldId];
+        classNames[oldId] = this.rowClassNames[oldId];
+        
+        delete this.nodes[oldId];
+        delete this.rowClassNames[oldId];
+        
+    }
+    
+    for (var oldId in renamedIds) {
+        
+        var newId = renamedIds[oldId];
+        
+        if (classNames[oldId]) {
+            this.rowClassNames[newId] = classNames[oldId];
+        }
+        
+        if (oldId == this.focusedNodeId) {
+            this.focusedNodeId = newId;
+        }
+        
+        if (oldId == this.selectionAnchorId) {
+            this.selectionAnchorId = newId;
+        }
+        
+        if (this.editState && oldId == this.editState.nodeId) {
+            this.editState.nodeId = newId;
+        }
+        
+        // Rows outside of the viewport of a virtual tree aren't rendered:
+        if (!rows[oldId]) {
+            continue;
+        }
+        
+        this.nodes[newId] = rows[oldId];
+        this.nodes[newId].nodeId = newId;
+        this.nodes[newId].rowNode.setAttribute('data-node-id', newId);
+        
+        this._indentRow(newId);
+        
+        // Custom cells might depend on the node ID (e.g. links):
+        for (var columnId in this.template.columns) {
+            if (typeof this.template.columns[columnId].render == 'function') {
+                this._renderCell(newId, columnId);
+            }
+        }
+        
+    }
+    
+    // Virtual trees redraw the whole viewport instead:
+    if (this.template.virtual) {
+        return this._invalidateViewport();
+    }
+    
+    // The new parent might be closed (or hidden) while the old one was open, and vice versa:
+    var success = this.model.isVisible(newNodeId)
+        ?    this.unhideBranchOrNode(newNodeId)
+        :    this.hideBranchOrNode(newNodeId);
+    
+    // Within a batch, rows are repositioned all at once when it ends:
+    return success && (this.model.isUpdating() || this.updateNodePosition(newNodeId));
+}
+
+/**
+ * Announces the position of a row among its siblings (aria-posinset and aria-setsize).
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of a node.
+ * @returns {Boolean} TRUE on success; FALSE if the row isn't rendered.
+ */
+
+TreeJS.prototype._labelRowPosition = function(nodeId) {
+    
+    if (!this.nodes[nodeId]) {
+        return false;
+    }
+    
+    var siblings = this.model._getChildList(this.getParentIdOf(nodeId));
+    var position = this.model._indexOfChild(siblings, nodeId);
+    
+    this.nodes[nodeId].rowNode.setAttribute('aria-setsize', siblings.length);
+    this.nodes[nodeId].rowNode.setAttribute('aria-posinset', position + 1);
+    
+    return true;
+}
+
+/**
+ * Relabels the positions of all children of a folder, e.g. after one of them has been added or removed.
+ * 
+ * Within a batch, rows are relabeled all at once when it ends;
+ * children of a closed folder are relabeled when it opens.
+ * 
+ * @private
+ * @param {String} parentId A valid ID of a folder ("" for the root level).
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype._labelSiblingPositions = function(parentId) {
+    
+    // Virtual trees label rows when they are rendered:
+    if (this.template.virtual || this.model.isUpdating()) {
+        return true;
+    }
+    
+    // The folder might have been removed (or moved) along with the node:
+    if (parentId != '' && (!this.model.nodes[parentId] || !this.model.nodes[parentId].isOpen)) {
+        return true;
+    }
+    
+    var siblings = this.model._getChildList(parentId);
+    
+    for (var i = 0; i < siblings.length; i++) {
+        if (this.nodes[siblings[i]]) {
+            this.nodes[siblings[i]].rowNode.setAttribute('aria-setsize', siblings.length);
+            this.nodes[siblings[i]].rowNode.setAttribute('aria-posinset', i + 1);
+        }
+    }
+    
+    return true;
+}
+
+/* ========================== VIRTUAL RENDERING ========================== */
+
+/**
+ * Creates a scrollable viewport around the table and spacer rows which stand in for rows that aren't rendered.
+ * 
+ * @private
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype._initViewport = function() {
+    
+    var that = this;
+    
+    this.viewportNode = document.createElement('div');
+    this.viewportNode.className = this.template.className + '-viewport';
+    this.viewportNode.style.height = this.template.viewportHeight + 'px';
+    this.viewportNode.style.overflowY = 'auto';
+    this.viewportNode.onscroll = function() {
+        that._renderViewport();
+        that._scheduleViewStateSave();
+    }
+    
+    this.topSpacerNode = this._createSpacer();
+    this.bottomSpacerNode = this._createSpacer();
+    
+    try {
+        
+        this.bodyNode.appendChild(this.topSpacerNode);
+        this.bodyNode.appendChild(this.bottomSpacerNode);
+        this.viewportNode.appendChild(this.containerNode);
+        
+    } catch(e) {
+        this.onError(new TreeJSError('DOM_FAILURE', 'Failed to initialize viewport. ' + e, '_initViewport', arguments, e));
+        return false;
+    }
+    
+    return true;
+}
+
+/**
+ * Creates an empty spacer row.
+ * 
+ * @private
+ * @returns {Object} The spacer row DOM element.
+ */
+
+TreeJS.prototype._createSpacer = function() {
+    
+    var rowNode = document.createElement('tr');
+    
+    rowNode.className = this.template.className + '-spacer';
+    rowNode.setAttribute('aria-hidden', 'true');
+    
+    // Spacer cells are styled as regular ones, so the columns keep their widths
+    // even if the spacer is the first row of a table without header:
+    for (var columnId in this.template.columns) {
+        
+        var cell = document.createElement('td');
+        
+        cell.className = this.template.className + '-' + columnId;
+        cell.style.height = '0px';
+        cell.style.padding = '0';
+        cell.style.border = 'none';
+        
+        rowNode.appendChild(cell);
+        
+    }
+    
+    return rowNode;
+}
+
+/**
+ * Marks the viewport of a virtual tree as outdated and redraws it (unless a batch is in progress).
+ * 
+ * @private
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype._invalidateViewport = function() {
+    
+    this.visibleSequence = null;
+    
+    // Virtual trees are redrawn once, when the batch ends:
+    if (this.model.isUpdating()) {
+        return true;
+    }
+    
+    return this._renderViewport();
+}
+
+/**
+ * Renders the rows of a virtual tree which are within the viewport (plus the overscan rows).
+ * 
+ * Rows that have left the viewport are destroyed; the rest is
+ * represented by the top and bottom spacers of appropriate height.
+ * 
+ * @private
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype._renderViewport = function() {
+    
+    if (!this.viewportNode) {
+        return false;
+    }
+    
+    // The sequence is only recomputed when the tree structure changes, not on scroll:
+    if (!this.visibleSequence) {
+        this.visibleSequence = this.model.getVisibleSequence();
+    }
+    
+    var sequence = this.visibleSequence;
+    var rowHeight = this.template.rowHeight;
+    var scrollTop = this.viewportNode.scrollTop || 0;
+    
+    // Figure out the range of rows to render:
+    var first = Math.max(0, Math.floor(scrollTop / rowHeight) - this.template.overscan);
+    var last = Math.min(sequence.length, Math.ceil((scrollTop + this.template.viewportHeight) / rowHeight) + this.template.overscan);
+    
+    var inRange = {};
+    
+    for (var i = first; i < last; i++) {
+        inRange[sequence[i]] = true;
+    }
+    
+    // Destroy rows which have left the viewport (an edit of such a row is abandoned):
+    for (var nodeId in this.nodes) {
+        if (!inRange[nodeId]) {
+            
+            if (this.editState && this.editState.nodeId == nodeId) {
+                this.editState = null;
+            }
+            
+            this._destroyElement(this.nodes[nodeId].rowNode);
+            delete this.nodes[nodeId];
+            
+        }
+    }
+    
+    try {
+        
+        // Build missing rows and arrange all of them between the spacers:
+        for (var i = first; i < last; i++) {
+            
+            var rowNode = this.nodes[sequence[i]]
+                ?    this.nodes[sequence[i]].rowNode
+                :    this._buildRow(sequence[i]);
+            
+            rowNode.style.height = rowHeight + 'px';
+            
+            // Rows of the viewport are announced as a part of the whole tree:
+            rowNode.setAttribute('aria-rowindex', i + (this.template.disableHeader ? 1 : 2));
+            this._labelRowPosition(sequence[i]);
+            
+            this.bodyNode.insertBefore(rowNode, this.bottomSpacerNode);
+            
+        }
+        
+    } catch(e) {
+        this.onError(new TreeJSError('DOM_FAILURE', 'Failed to render viewport. ' + e, '_renderViewport', arguments, e));
+        return false;
+    }
+    
+    // Spacers stand in for the rows which aren't rendered:
+    this.topSpacerNode.style.height = (first * rowHeight) + 'px';
+    this.bottomSpacerNode.style.height = ((sequence.length - last) * rowHeight) + 'px';
+    
+    this.containerNode.setAttribute('aria-rowcount', sequence.length + (this.template.disableHeader ? 0 : 1));
+    
+    // The table is the tab stop while the focused row is scrolled away:
+    this.containerNode.tabIndex = (this.focusedNodeId && this.nodes[this.focusedNodeId]) ? -1 : 0;
+    
+    return true;
+}
+
+/* ========================= KEYBOARD NAVIGATION ========================= */
+
+/**
+ * Handles keyboard navigation within the tree.
+ * 
+ *  - Up/Down, Home/End and PageUp/PageDown move the focus and select the focused row
+ *    (with Shift: select a range from the anchor; with Ctrl: only move the focus)
+ *  - Right opens a folder or moves to its first child; Left closes a folder or moves to its parent
+ *  - Enter activates the focused row (folders are toggled)
+ *  - F2 edits the first editable cell of the focused row
+ *  - Space or Ctrl+Space toggles selection of the focused row (with Shift: selects a range from the anchor);
+ *    in the checkbox selection mode, Space toggles the checkbox of the row instead
+ * 
+ * Rows hidden within closed folders are skipped.
+ * 
+ * @param {Event} e A keydown event.
+ * @returns {Boolean} FALSE if the key has been handled (to prevent the default action); TRUE otherwise.
+ */
+
+TreeJS.prototype.keyboardEventHandler = function(e) {
+    
+    // Cross-browser event capture:
+    var e = e || window.event;
+    var target = e.target || e.srcElement;
+    
+    // Keys typed in form fields (e.g. editors) are none of our business:
+    if (target && /^(INPUT|TEXTAREA|SELECT)$/.test(target.nodeName)) {
+        return true;
+    }
+    
+    var keyNames = {13: 'Enter', 32: ' ', 33: 'PageUp', 34: 'PageDown', 35: 'End', 36: 'Home', 37: 'ArrowLeft', 38: 'ArrowUp', 39: 'ArrowRight', 40: 'ArrowDown', 113: 'F2'};
+    var key = keyNames[e.keyCode] || e.key;
+    
+    var sequence = this.visibleSequence || this.model.getVisibleSequence();
+    
+    if (!sequence.length) {
+        return true;
+    }
+    
+    var nodeId = this.focusedNodeId;
+    var position = nodeId ? this._indexOf(sequence, nodeId) : -1;
+    
+    // Start from the top if nothing (visible) has the focus yet:
+    if (position == -1) {
+        nodeId = sequence[0];
+        position = 0;
+    }
+    
+    var pageSize = this._getPageSize();
+    var isDir = this.isDir(nodeId);
+    var isOpen = isDir && this.model.nodes[nodeId].isOpen;
+    
+    switch (key) {
+        
+        case 'ArrowDown' :
+            this._navigateTo(sequence[Math.min(position + 1, sequence.length - 1)], e);
+            break;
+        
+        case 'ArrowUp' :
+            this._navigateTo(sequence[Math.max(position - 1, 0)], e);
+            break;
+        
+        case 'PageDown' :
+            this._navigateTo(sequence[Math.min(position + pageSize, sequence.length - 1)], e);
+            break;
+        
+        case 'PageUp' :
+            this._navigateTo(sequence[Math.max(position - pageSize, 0)], e);
+            break;
+        
+        case 'Home' :
+            this._navigateTo(sequence[0], e);
+            break;
+        
+        case 'End' :
+            this._navigateTo(sequence[sequence.length - 1], e);
+            break;
+        
+        case 'ArrowRight' :
+        
+            if (isDir && !isOpen) {
+                this.openBranch(nodeId);
+            } else if (isOpen && this.model.nodes[nodeId].children.length) {
+                this._navigateTo(this.model.nodes[nodeId].children[0], e);
+            }
+            
+            break;
+        
+        case 'ArrowLeft' :
+        
+            if (isOpen) {
+                this.closeBranch(nodeId);
+            } else if (this.getParentIdOf(nodeId) != '') {
+                this._navigateTo(this.getParentIdOf(nodeId), e);
+            }
+            
+            break;
+        
+        case 'Enter' :
+            this._activateNode(nodeId);
+            break;
+        
+        case 'F2' :
+        
+            // The first editable column is edited:
+            for (var columnId in this.template.columns) {
+                if (this._isCellEditable(nodeId, columnId)) {
+                    this.editCell(nodeId, columnId);
+                    break;
+                }
+            }
+            
+            break;
+        
+        case ' ' :
+        case 'Spacebar' :
+        
+            if (e.shiftKey) {
+                this.changeSelection('range', this.selectionAnchorId || nodeId, nodeId);
+            } else if (this.template.selectionMode == 'checkbox') {
+                this.toggleCheck(nodeId);
+            } else {
+                this.changeSelection(this.isSelected(nodeId) ? 'remove' : 'add', nodeId);
+                this.selectionAnchorId = nodeId;
+            }
+            
+            this._setFocusedNode(nodeId, true);
+            break;
+        
+        default :
+            return true;
+        
+    }
+    
+    // The key has been handled, so the page must neither scroll nor see it:
+    if (e.preventDefault) {
+        e.preventDefault();
+    }
+    
+    this._cancelBubble(e);
+    
+    return false;
+}
+
+/**
+ * Moves the keyboard focus to a node (and scrolls it into view).
+ * 
+ * @param {String} nodeId A valid ID of a visible node.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype.focusNode = function(nodeId) {
+    
+    if (!this.model.nodes[nodeId]) {
+        this.onError(new TreeJSError('NODE_NOT_FOUND', 'Unable to focus node. Node reference not found.', 'focusNode', arguments));
+        return false;
+    }
+    
+    return this._setFocusedNode(nodeId, true);
+}
+
+/**
+ * Moves the focus to a node in response to a navigation key, and updates selection:
+ * Shift selects a range from the anchor, Ctrl only moves the focus, and no modifier selects the node.
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of a visible node.
+ * @param {Event} e The keydown event.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype._navigateTo = function(nodeId, e) {
+    
+    if (e.shiftKey) {
+        this.changeSelection('range', this.selectionAnchorId || this.focusedNodeId || nodeId, nodeId);
+    } else if (!e.ctrlKey && !e.metaKey) {
+        this.changeSelection('single', nodeId);
+        this.selectionAnchorId = nodeId;
+    }
+    
+    return this._setFocusedNode(nodeId, true);
+}
+
+/**
+ * Makes a node the roving tab stop of the tree.
+ * 
+ * @private
+ * @param {String|Null} nodeId A valid ID of a node; Null to make the table the tab stop.
+ * @param {Boolean} moveDomFocus TRUE to focus the row (and scroll it into view) as well.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype._setFocusedNode = function(nodeId, moveDomFocus) {
+    
+    var className = this.template.className + '-focusedNode';
+    var previousRow = this.focusedNodeId && this.nodes[this.focusedNodeId];
+    
+    if (previousRow && this.focusedNodeId != nodeId) {
+        previousRow.rowNode.tabIndex = -1;
+        this._toggleClassName(previousRow.rowNode, className, false);
+    }
+    
+    this.focusedNodeId = nodeId;
+    
+    // Virtual trees render the row once it is scrolled into view:
+    if (nodeId !== null && moveDomFocus && this.template.virtual) {
+        this._scrollToNode(nodeId);
+    }
+    
+    var row = (nodeId !== null) && this.nodes[nodeId];
+    
+    // The table is the tab stop unless the focused row is rendered:
+    if (this.containerNode) {
+        this.containerNode.tabIndex = row ? -1 : 0;
+    }
+    
+    if (!row) {
+        return true;
+    }
+    
+    row.rowNode.tabIndex = 0;
+    this._toggleClassName(row.rowNode, className, true);
+    
+    if (moveDomFocus) {
+        
+        try {
+            row.rowNode.focus();
+        } catch(e) {
+            this.onError(new TreeJSError('DOM_FAILURE', 'Failed to focus row. ' + e, '_setFocusedNode', arguments, e));
+            return false;
+        }
+        
+    }
+    
+    return true;
+}
+
+/**
+ * Passes the focus on from the table to a row once the tree is tabbed into:
+ * the focused row, the first selected row or the first row (in this order).
+ * 
+ * @private
+ * @returns {Boolean} TRUE on success; FALSE if there are no rows.
+ */
+
+TreeJS.prototype._focusTree = function() {
+    
+    var nodeId = this.focusedNodeId;
+    
+    if (!nodeId || !this.model.isVisible(nodeId)) {
+        
+        var sequence = this.visibleSequence || this.model.getVisibleSequence();
+        
+        nodeId = sequence[0] || null;
+        
+        for (var i = 0; i < this.selection.length; i++) {
+            if (this.model.isVisible(this.selection[i])) {
+                nodeId = this.selection[i];
+                break;
+            }
+        }
+        
+    }
+    
+    return nodeId !== null && this._setFocusedNode(nodeId, true);
+}
+
+/**
+ * Activates a node (Enter or double click): fires the "nodeActivated" event and toggles folders.
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of a node.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype._activateNode = function(nodeId) {
+    
+    this._emit('nodeActivated', nodeId);
+    
+    return !this.isDir(nodeId) || this.toggleBranch(nodeId);
+}
+
+/**
+ * Scrolls a node into view (virtual trees scroll their viewport and render the row).
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of a visible node.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype._scrollToNode = function(nodeId) {
+    
+    // Rows of other trees are scrolled into view by the browser (within any scrollable container):
+    if (!this.viewportNode) {
+        
+        var row = this.nodes[nodeId];
+        
+        if (!row || typeof row.rowNode.scrollIntoView != 'function') {
+            return false;
+        }
+        
+        try {
+            row.rowNode.scrollIntoView({block: 'nearest'});
+        } catch(e) {
+            this.onError(new TreeJSError('DOM_FAILURE', 'Failed to scroll to node. ' + e, '_scrollToNode', arguments, e));
+            return false;
+        }
+        
+        return true;
+    }
+    
+    if (!this.visibleSequence) {
+        this.visibleSequence = this.model.getVisibleSequence();
+    }
+    
+    var position = this._indexOf(this.visibleSequence, nodeId);
+    
+    if (position == -1) {
+        return false;
+    }
+    
+    var rowHeight = this.template.rowHeight;
+    var rowTop = position * rowHeight;
+    var scrollTop = this.viewportNode.scrollTop || 0;
+    
+    if (rowTop < scrollTop) {
+        this.viewportNode.scrollTop = rowTop;
+    } else if (rowTop + rowHeight > scrollTop + this.template.viewportHeight) {
+        this.viewportNode.scrollTop = rowTop + rowHeight - this.template.viewportHeight;
+    }
+    
+    return this._renderViewport();
+}
+
+/**
+ * Figures out how many rows PageUp and PageDown skip.
+ * 
+ * @private
+ * @returns {Integer} The number of rows which fit into the viewport (at least one).
+ */
+
+TreeJS.prototype._getPageSize = function() {
+    
+    var viewportHeight = this.viewportNode
+        ?    this.template.viewportHeight
+        :    (window.innerHeight || this.template.viewportHeight);
+    
+    return Math.max(1, Math.floor(viewportHeight / this.template.rowHeight) - 1);
+}
+
+/* ============================ INLINE EDITING ============================ */
+
+/**
+ * Turns a cell of an editable column (editable: true in the template) into an input
+ * (a checkbox for columns of the "boolean" type).
+ * 
+ * The edit is committed with Enter (or when the input loses the focus) and cancelled with Escape.
+ * A committed value is checked by the validate(value, nodeId) hook of the column,
+ * passed to the onCellEdit(nodeId, columnId, oldValue, newValue) hook of the template
+ * (which can reject it by returning false) and finally set with .setCellValue().
+ * 
+ * @param {String} nodeId A valid ID of a visible node.
+ * @param {String} columnId A valid ID of an editable column.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype.editCell = function(nodeId, columnId) {
+    
+    if (!this.model.nodes[nodeId]) {
+        this.onError(new TreeJSError('NODE_NOT_FOUND', 'Unable to edit cell. Node reference not found.', 'editCell', arguments));
+        return false;
+    }
+    
+    if (!this.template.columns[columnId]) {
+        this.onError(new TreeJSError('COLUMN_NOT_FOUND', 'Unable to edit cell. Column not found.', 'editCell', arguments));
+        return false;
+    }
+    
+    if (!this.template.columns[columnId].editable) {
+        this.onError(new TreeJSError('INVALID_ARGUMENT', 'Unable to edit cell. Column "' + columnId + '" is not editable.', 'editCell', arguments));
+        return false;
+    }
+    
+    if (!this._isCellEditable(nodeId, columnId)) {
+        this.onError(new TreeJSError('INVALID_ARGUMENT', 'Unable to edit cell. Folder values of column "' + columnId + '" are aggregated.', 'editCell', arguments));
+        return false;
+    }
+    
+    if (!this.model.isVisible(nodeId)) {
+        this.onError(new TreeJSError('INVALID_STATE', 'Unable to edit cell. Node is hidden within a closed folder.', 'editCell', arguments));
+        return false;
+    }
+    
+    // Only one cell is edited at a time (an invalid value keeps its editor open):
+    if (this.editState && !this._commitEdit()) {
+        return false;
+    }
+    
+    // Virtual trees render the row once it is scrolled into view:
+    if (this.template.virtual) {
+        this._scrollToNode(nodeId);
+    }
+    
+    var column = this.template.columns[columnId];
+    var cellValue = this.data[nodeId][columnId];
+    var inputNode = document.createElement('input');
+    var isNumeric = TreeModel.columnTypes[column.type] && TreeModel.columnTypes[column.type].numeric;
+    var isBoolean = (column.type == 'boolean');
+    
+    // Raw values are edited, not the formatted ones:
+    inputNode.type = isBoolean ? 'checkbox' : (isNumeric ? 'number' : 'text');
+    inputNode.className = this.template.className + '-editor';
+    
+    if (isBoolean) {
+        inputNode.checked = (TreeModel.columnTypes.boolean.toSortKey(cellValue) === 1);
+    } else {
+        inputNode.value = (cellValue === null || cellValue === undefined) ? '' : String(cellValue);
+    }
+    inputNode.setAttribute('aria-label', column.title || columnId);
+    
+    var that = this;
+    
+    inputNode.onkeydown = function(e) {
+        
+        var e = e || window.event;
+        
+        // Keys typed into the editor must not reach the row navigation:
+        that._cancelBubble(e);
+        
+        if (e.keyCode == 13) {
+            that._commitEdit();
+            return false;
+        }
+        
+        if (e.keyCode == 27) {
+            that._cancelEdit();
+            return false;
+        }
+        
+    }
+    
+    // Leaving the editor commits the value:
+    inputNode.onblur = function() {
+        if (that.editState && that.editState.inputNode == inputNode) {
+            that._commitEdit();
+        }
+    }
+    
+    // Clicks within the editor must neither select rows nor prevent placing the caret:
+    inputNode.onmousedown = inputNode.onclick = inputNode.ondblclick = function(e) {
+        that._cancelBubble(e);
+        return true;
+    }
+    
+    // Grab reference to the DOM element where the value is rendered:
+    // (also consider a special case of "name" column)
+    var cellNode = (columnId == 'name')
+        ?    this.nodes[nodeId].cells[columnId].selectorNode
+        :    this.nodes[nodeId].cells[columnId];
+    
+    try {
+        
+        cellNode.innerHTML = '';
+        cellNode.appendChild(inputNode);
+        
+        // The content is rendered anew once the edit is over:
+        delete this.nodes[nodeId].renderedValues[columnId];
+        
+        this.editState = {nodeId: nodeId, columnId: columnId, inputNode: inputNode};
+        
+        inputNode.focus();
+        
+        if (!isBoolean) {
+            inputNode.select();
+        }
+        
+    } catch(e) {
+        this.onError(new TreeJSError('DOM_FAILURE', 'Failed to edit cell. ' + e, 'editCell', arguments, e));
+        return false;
+    }
+    
+    return true;
+}
+
+/**
+ * Commits the value of the cell editor (if any).
+ * 
+ * An invalid value keeps the editor open and marked with the "-invalidValue" class;
+ * a value rejected by the onCellEdit hook closes the editor and leaves the cell as it was.
+ * 
+ * @private
+ * @returns {Boolean} TRUE if the editor has been closed; FALSE if the value is invalid or failed to be set.
+ */
+
+TreeJS.prototype._commitEdit = function() {
+    
+    var state = this.editState;
+    
+    if (!state) {
+        return true;
+    }
+    
+    var nodeId = state.nodeId;
+    var columnId = state.columnId;
+    var column = this.template.columns[columnId];
+    var oldValue = this.data[nodeId][columnId];
+    var newValue = state.inputNode.value;
+    
+    // Numeric columns get numbers (an empty input resets the value to the default one),
+    // boolean columns get booleans:
+    if (TreeModel.columnTypes[column.type] && TreeModel.columnTypes[column.type].numeric) {
+        newValue = (newValue == '') ? null : Number(newValue);
+    } else if (column.type == 'boolean') {
+        newValue = !!state.inputNode.checked;
+    }
+    
+    var verdict = true;
+    
+    if (newValue !== newValue) {
+        verdict = 'Value must be a number.';
+    } else if (typeof column.validate == 'function') {
+        verdict = column.validate.call(this, newValue, nodeId);
+    }
+    
+    // The validate hook returns false or an error message if the value is invalid:
+    if (verdict === false || typeof verdict == 'string') {
+        
+        this._toggleClassName(state.inputNode, this.template.className + '-invalidValue', true);
+        state.inputNode.setAttribute('aria-invalid', 'true');
+        state.inputNode.title = (typeof verdict == 'string') ? verdict : 'Invalid value.';
+        
+        return false;
+    }
+    
+    var hadFocus = (document.activeElement == state.inputNode);
+    var isChanged = !this._isSameCellValue(columnId, oldValue, newValue);
+    
+    this.editState = null;
+    
+    // The onCellEdit hook of the template can reject the change:
+    var isRejected = isChanged
+        && typeof this.template.onCellEdit == 'function'
+        && this.template.onCellEdit.call(this, nodeId, columnId, oldValue, newValue) === false;
+    
+    // Unchanged and rejected values just restore the cell;
+    // a new value is rendered (and the row re-sorted) by the "cellChanged" handler:
+    var success = (!isChanged || isRejected)
+        ?    this._renderCell(nodeId, columnId)
+        :    this.setCellValue(nodeId, columnId, newValue);
+    
+    if (hadFocus && this.nodes[nodeId]) {
+        this._setFocusedNode(nodeId, true);
+    }
+    
+    if (!success) {
+        return false;
+    }
+    
+    if (isChanged && !isRejected) {
+        this._emit('cellEdited', nodeId, columnId, oldValue, this.data[nodeId][columnId]);
+    }
+    
+    return true;
+}
+
+/**
+ * Checks whether an edited value is the same as the stored one.
+ * 
+ * Empty values (null, undefined and "") are the same, and values of typed columns
+ * are compared by their sort keys, so that e.g. "5" and 5 of a numeric column are the same.
+ * Other values are compared as the text they are edited as.
+ * 
+ * @private
+ * @param {String} columnId A valid ID of a column.
+ * @param {Mixed} oldValue The stored value.
+ * @param {Mixed} newValue The edited value.
+ * @returns {Boolean} TRUE if the values are the same; FALSE otherwise.
+ */
+
+TreeJS.prototype._isSameCellValue = function(columnId, oldValue, newValue) {
+    
+    var columnType = TreeModel.columnTypes[this.template.columns[columnId].type];
+    var isOldEmpty = (oldValue === null || oldValue === undefined || oldValue === '');
+    var isNewEmpty = (newValue === null || newValue === undefined || newValue === '');
+    
+    if (isOldEmpty || isNewEmpty) {
+        return isOldEmpty && isNewEmpty;
+    }
+    
+    var oldKey = columnType ? columnType.toSortKey(oldValue) : null;
+    var newKey = columnType ? columnType.toSortKey(newValue) : null;
+    
+    // Values which have no sort key (e.g. "n/a" in a numeric column) are compared as they are:
+    return (oldKey === null || newKey === null)
+        ?    String(oldValue) === String(newValue)
+        :    oldKey === newKey;
+}
+
+/**
+ * Closes the cell editor (if any) and leaves the cell as it was.
+ * 
+ * @private
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype._cancelEdit = function() {
+    
+    var state = this.editState;
+    
+    if (!state) {
+        return true;
+    }
+    
+    var hadFocus = (document.activeElement == state.inputNode);
+    
+    this.editState = null;
+    
+    if (!this._renderCell(state.nodeId, state.columnId)) {
+        return false;
+    }
+    
+    return !hadFocus || this._setFocusedNode(state.nodeId, true);
+}
+
+/**
+ * Makes the cells of editable columns editable with a double click.
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of a rendered node.
+ * @returns {Void}
+ */
+
+TreeJS.prototype._bindCellEditors = function(nodeId) {
+    
+    var that = this;
+    
+    // Handlers look the ID up, since it changes when the node is moved or renamed:
+    var row = this.nodes[nodeId];
+    
+    var bindEditor = function(cellNode, columnId) {
+        cellNode.ondblclick = function(e) {
+            that.editCell(row.nodeId, columnId);
+            that._cancelBubble(e);
+        }
+    }
+    
+    for (var columnId in this.template.columns) {
+        
+        if (!this._isCellEditable(nodeId, columnId)) {
+            continue;
+        }
+        
+        // Names are edited instead of activating the row:
+        bindEditor((columnId == 'name') ? row.cells[columnId].selectorNode : row.cells[columnId], columnId);
+        
+    }
+    
+}
+
+/**
+ * Checks if a cell can be edited.
+ * 
+ * @private
+ * @param {String} nodeId A valid node ID.
+ * @param {String} columnId A valid column ID.
+ * @returns {Boolean} TRUE if the column is editable and the cell isn't an aggregate of a folder; FALSE otherwise.
+ */
+
+TreeJS.prototype._isCellEditable = function(nodeId, columnId) {
+    
+    var column = this.template.columns[columnId];
+    
+    return !!column.editable && !(TreeModel._isAggregate(column.aggregate) && this.model.isDir(nodeId));
+    
+}
+
+/* ========================== DRAG AND DROP ========================== */
+
+/**
+ * Makes a row draggable and turns it into a drop target (drag-and-drop trees only).
+ * 
+ * Mouse drags use HTML5 drag-and-drop, while touch and pen drags use pointer events,
+ * since HTML5 drag-and-drop isn't available on most touch devices.
+ * Dropping on a leaf drops into the folder of the leaf.
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of a rendered node.
+ * @returns {Void}
+ */
+
+TreeJS.prototype._bindDragAndDrop = function(nodeId) {
+    
+    var row = this.nodes[nodeId];
+    var selectorNode = row.cells['name'] && row.cells['name'].selectorNode;
+    
+    if (!selectorNode) {
+        return;
+    }
+    
+    var that = this;
+    var pointer = null;
+    
+    // Cancelling mousedown (to prevent text selection) would prevent dragging as well:
+    selectorNode.onmousedown = null;
+    selectorNode.draggable = true;
+    selectorNode.style.touchAction = 'none';
+    
+    selectorNode.ondragstart = function(e) {
+        
+        if (!that._startDrag(row.nodeId)) {
+            e.preventDefault();
+            return;
+        }
+        
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', that.dragState.sourceIds.join('\n'));
+        
+    };
+    selectorNode.ondragend = function() {
+        that._endDrag();
+    };
+    row.rowNode.ondragover = function(e) {
+        if (that._hoverDrag(row.nodeId)) {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+        }
+    };
+    row.rowNode.ondrop = function(e) {
+        e.preventDefault();
+        that._drop();
+    };
+    
+    selectorNode.onpointerdown = function(e) {
+        
+        // Mouse drags are handled by HTML5 drag-and-drop:
+        if (e.pointerType == 'mouse' || !e.isPrimary) {
+            return;
+        }
+        
+        pointer = {id: e.pointerId, x: e.clientX, y: e.clientY};
+        selectorNode.setPointerCapture(e.pointerId);
+        
+    };
+    selectorNode.onpointermove = function(e) {
+        
+        if (!pointer || e.pointerId != pointer.id) {
+            return;
+        }
+        
+        // The drag starts once the pointer has moved by a few pixels:
+        if (!that.dragState) {
+            
+            if (Math.abs(e.clientX - pointer.x) + Math.abs(e.clientY - pointer.y) < 5) {
+                return;
+            }
+            
+            if (!that._startDrag(row.nodeId)) {
+                pointer = null;
+                return;
+            }
+            
+        }
+        
+        that._hoverDrag(that._getNodeIdAt(e.clientX, e.clientY));
+        e.preventDefault();
+        
+    };
+    selectorNode.onpointerup = function(e) {
+        
+        if (pointer && e.pointerId == pointer.id && that.dragState) {
+            that._drop();
+        }
+        
+        pointer = null;
+        
+    };
+    selectorNode.onpointercancel = function() {
+        pointer = null;
+        that._endDrag();
+    };
+    
+}
+
+/**
+ * Starts dragging a node, or the whole selection if the node is selected.
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of the dragged node.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype._startDrag = function(nodeId) {
+    
+    if (!this.model.nodes[nodeId]) {
+        return false;
+    }
+    
+    var sourceIds = [nodeId];
+    
+    if (this.isSelected(nodeId)) {
+        
+        sourceIds = [];
+        
+        // Descendants of selected folders are moved along with them:
+        for (var i = 0; i < this.selection.length; i++) {
+            
+            var ancestorId = this.getParentIdOf(this.selection[i]);
+            
+            while (ancestorId != '' && !this.isSelected(ancestorId)) {
+                ancestorId = this.getParentIdOf(ancestorId);
+            }
+            
+            if (ancestorId == '') {
+                sourceIds.push(this.selection[i]);
+            }
+            
+        }
+        
+    }
+    
+    this.dragState = {
+        sourceIds: sourceIds,
+        hoverId: null,
+        targetId: null,
+        expandTimer: null
+    };
+    
+    for (var i = 0; i < sourceIds.length; i++) {
+        if (this.nodes[sourceIds[i]]) {
+            this._toggleClassName(this.nodes[sourceIds[i]].rowNode, this.template.className + '-dragging', true);
+        }
+    }
+    
+    return true;
+}
+
+/**
+ * Updates the drop target while the dragged nodes hover over a row.
+ * 
+ * Closed folders are opened after hovering for template.autoExpandDelay milliseconds.
+ * 
+ * @private
+ * @param {String|Null} nodeId An ID of the hovered node; Null if not hovering over a row.
+ * @returns {Boolean} TRUE if the nodes can be dropped here; FALSE otherwise.
+ */
+
+TreeJS.prototype._hoverDrag = function(nodeId) {
+    
+    var state = this.dragState;
+    
+    if (!state) {
+        return false;
+    }
+    
+    if (!this.model.nodes[nodeId]) {
+        clearTimeout(state.expandTimer);
+        state.hoverId = null;
+        return this._setDropTarget(null);
+    }
+    
+    // Drag events fire continuously, so the hooks are consulted only when the hovered row changes:
+    if (state.hoverId === nodeId) {
+        return state.targetId !== null;
+    }
+    
+    state.hoverId = nodeId;
+    clearTimeout(state.expandTimer);
+    
+    if (this.isDir(nodeId) && !this.model.nodes[nodeId].isOpen) {
+        
+        var that = this;
+        
+        state.expandTimer = setTimeout(function() {
+            that.openBranch(nodeId);
+        }, this.template.autoExpandDelay);
+        
+    }
+    
+    var targetId = this.isDir(nodeId) ? nodeId : this.getParentIdOf(nodeId);
+    
+    return this._setDropTarget(this._canDrop(state.sourceIds, targetId) ? targetId : null);
+}
+
+/**
+ * Checks whether nodes can be dropped into a folder.
+ * 
+ * A folder can't be dropped into itself or into its own descendant, and a node can't replace
+ * a node with the same name. The rest is decided by the template.canDrop() hook (if any).
+ * 
+ * @private
+ * @param {Array} sourceIds IDs of the dragged nodes.
+ * @param {String} targetId An ID of the target folder ("" for the root level).
+ * @returns {Boolean} TRUE if the nodes can be dropped; FALSE otherwise.
+ */
+
+TreeJS.prototype._canDrop = function(sourceIds, targetId) {
+    
+    var isMoving = false;
+    
+    for (var i = 0; i < sourceIds.length; i++) {
+        
+        var sourceId = sourceIds[i];
+        var parentId = this.getParentIdOf(sourceId);
+        
+        // Nodes which are already there stay in place:
+        if (parentId == targetId) {
+            continue;
+        }
+        
+        if (this.isDir(sourceId) && targetId.substr(0, sourceId.length) == sourceId) {
+            return false;
+        }
+        
+        if (this.model.nodes[targetId + sourceId.substr(parentId.length)]) {
+            return false;
+        }
+        
+        isMoving = true;
+        
+    }
+    
+    if (!isMoving) {
+        return false;
+    }
+    
+    return typeof this.template.canDrop != 'function'
+        || this.template.canDrop.call(this, sourceIds.slice(0), targetId) !== false;
+}
+
+/**
+ * Moves the drop indicator to another folder.
+ * 
+ * The root level is indicated on the table itself.
+ * 
+ * @private
+ * @param {String|Null} targetId An ID of the target folder ("" for the root level); Null to hide the indicator.
+ * @returns {Boolean} TRUE if there is a drop target; FALSE otherwise.
+ */
+
+TreeJS.prototype._setDropTarget = function(targetId) {
+    
+    var state = this.dragState;
+    var className = this.template.className + '-dropTarget';
+    
+    if (state.targetId !== null) {
+        this._toggleClassName(state.targetId == '' ? this.containerNode : this.nodes[state.targetId] && this.nodes[state.targetId].rowNode, className, false);
+    }
+    
+    if (targetId !== null) {
+        this._toggleClassName(targetId == '' ? this.containerNode : this.nodes[targetId] && this.nodes[targetId].rowNode, className, true);
+    }
+    
+    state.targetId = targetId;
+    
+    return targetId !== null;
+}
+
+/**
+ * Drops the dragged nodes into the current drop target.
+ * 
+ * Unless the template.onDrop() hook returns false, the nodes are moved with .moveNode().
+ * 
+ * @private
+ * @returns {Boolean} TRUE if the nodes have been dropped; FALSE otherwise.
+ */
+
+TreeJS.prototype._drop = function() {
+    
+    var state = this.dragState;
+    
+    if (!state || state.targetId === null) {
+        this._endDrag();
+        return false;
+    }
+    
+    var sourceIds = state.sourceIds;
+    var targetId = state.targetId;
+    
+    this._endDrag();
+    
+    if (typeof this.template.onDrop == 'function' && this.template.onDrop.call(this, sourceIds.slice(0), targetId) === false) {
+        return false;
+    }
+    
+    return this.batch(function() {
+        for (var i = 0; i < sourceIds.length; i++) {
+            if (this.getParentIdOf(sourceIds[i]) != targetId) {
+                this.moveNode(sourceIds[i], targetId);
+            }
+        }
+    });
+}
+
+/**
+ * Cleans up after a drag (either dropped or cancelled).
+ * 
+ * @private
+ * @returns {Void}
+ */
+
+TreeJS.prototype._endDrag = function() {
+    
+    var state = this.dragState;
+    
+    if (!state) {
+        return;
+    }
+    
+    clearTimeout(state.expandTimer);
+    this._setDropTarget(null);
+    
+    for (var i = 0; i < state.sourceIds.length; i++) {
+        if (this.nodes[state.sourceIds[i]]) {
+            this._toggleClassName(this.nodes[state.sourceIds[i]].rowNode, this.template.className + '-dragging', false);
+        }
+    }
+    
+    this.dragState = null;
+    
+}
+
+/**
+ * Finds the node rendered at a point of the page.
+ * 
+ * @private
+ * @param {Number} x A horizontal coordinate within the viewport of the page.
+ * @param {Number} y A vertical coordinate within the viewport of the page.
+ * @returns {String|Null} The ID of the node; Null if there's no row at the point.
+ */
+
+TreeJS.prototype._getNodeIdAt = function(x, y) {
+    
+    var element = document.elementFromPoint(x, y);
+    
+    while (element && element != this.bodyNode) {
+        
+        if (element.nodeName == 'TR' && element.getAttribute('data-node-id')) {
+            return element.getAttribute('data-node-id');
+        }
+        
+        element = element.parentNode;
+        
+    }
+    
+    return null;
+}
+
+/* ============================ CHECKBOXES ============================ */
+
+/**
+ * Checks a node along with all of its descendants (see TreeModel.check()).
+ * 
+ * @param {String} nodeId A valid ID of a node to check.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype.check = function(nodeId) {
+    
+    // Checkboxes are updated by the "checkStateChanged" handler of the model:
+    return this.model.check(nodeId);
+    
+}
+
+/**
+ * Unchecks a node along with all of its descendants.
+ * 
+ * @param {String} nodeId A valid ID of a node to uncheck.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype.uncheck = function(nodeId) {
+    
+    return this.model.uncheck(nodeId);
+    
+}
+
+/**
+ * Toggles a check state of a node: checked nodes are unchecked, mixed and unchecked ones are checked.
+ * 
+ * @param {String} nodeId A valid ID of a node to toggle.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype.toggleCheck = function(nodeId) {
+    
+    return this.model.toggleCheck(nodeId);
+    
+}
+
+/**
+ * Returns a check state of a node.
+ * 
+ * @param {String} nodeId A valid ID of a node.
+ * @returns {String} "checked", "unchecked" or "mixed" (some of the descendants are checked).
+ */
+
+TreeJS.prototype.getCheckState = function(nodeId) {
+    
+    return this.model.getCheckState(nodeId);
+    
+}
+
+/**
+ * Returns IDs of checked nodes in the order of the tree.
+ * 
+ * @param {Object} [options]
+ *    @param {Boolean} [options.leavesOnly] If set to True - checked folders are left out.
+ * @returns {Array} A list of checked node IDs.
+ */
+
+TreeJS.prototype.getChecked = function(options) {
+    
+    return this.model.getChecked(options);
+    
+}
+
+/**
+ * Creates a checkbox for the name cell of a row (checkbox selection mode only).
+ * 
+ * @private
+ * @param {Object} row A row record (its node ID changes when the node is moved or renamed).
+ * @returns {Object} The checkbox DOM element.
+ */
+
+TreeJS.prototype._createCheckbox = function(row) {
+    
+    var that = this;
+    var checkboxNode = document.createElement('input');
+    
+    checkboxNode.type = 'checkbox';
+    checkboxNode.className = this.template.className + '-checkbox';
+    
+    // The tree is a single tab stop, Space toggles the checkbox of the focused row:
+    checkboxNode.tabIndex = -1;
+    
+    // Checking must neither select the row nor reach the table:
+    checkboxNode.onclick = function(e) {
+        
+        that.toggleCheck(row.nodeId);
+        
+        // (the browser has toggled the checkbox already, which is wrong if the change has failed)
+        that._renderCheckState(row.nodeId);
+        
+        // The row takes the focus, so that the keys keep working:
+        that._setFocusedNode(row.nodeId, true);
+        that._cancelBubble(e);
+        
+    }
+    
+    return checkboxNode;
+}
+
+/**
+ * Sets the checkbox of a row in accordance with the check state of its node.
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of a node.
+ * @returns {Boolean} Always TRUE.
+ */
+
+TreeJS.prototype._renderCheckState = function(nodeId) {
+    
+    // Rows outside of the viewport of a virtual tree aren't rendered:
+    if (!this.nodes[nodeId] || !this.nodes[nodeId].cells['name'] || !this.nodes[nodeId].cells['name'].checkboxNode) {
+        return true;
+    }
+    
+    var state = this.model.getCheckState(nodeId);
+    var checkboxNode = this.nodes[nodeId].cells['name'].checkboxNode;
+    
+    checkboxNode.checked = (state == 'checked');
+    checkboxNode.indeterminate = (state == 'mixed');
+    
+    // The mixed state can't be expressed by the checked property:
+    checkboxNode.setAttribute('aria-checked', (state == 'mixed') ? 'mixed' : String(state == 'checked'));
+    
+    return true;
+}
+
+/* ============================ VIEW STATE ============================ */
+
+/**
+ * Returns the view state: open folders, the selection, the sort spec, column widths and the scroll position.
+ * 
+ * The state is plain data, so it can be kept (e.g. as JSON) and restored with .setViewState().
+ * The scroll position is the one of the viewport of a virtual tree, or of the element the tree is appended to.
+ * 
+ * @returns {Object} {openIds: Array, selection: Array, sortSpec: Array, columnWidths: Object, scrollTop: Number}
+ */
+
+TreeJS.prototype.getViewState = function() {
+    
+    var state = this.model.getViewState();
+    var scrollNode = this._getScrollNode();
+    
+    state.columnWidths = {};
+    
+    // Only the widths which have been set are kept (the rest follow the CSS):
+    if (this.header) {
+        for (var columnId in this.header.cells) {
+            if (this.header.cells[columnId].containerNode.style.width) {
+                state.columnWidths[columnId] = this.header.cells[columnId].containerNode.style.width;
+            }
+        }
+    }
+    
+    // A scroll position which hasn't been restored yet is kept as it is:
+    state.scrollTop = (this.pendingScrollTop !== null)
+        ?    this.pendingScrollTop
+        :    (scrollNode && scrollNode.scrollTop) || 0;
+    
+    return state;
+}
+
+/**
+ * Restores a view state returned by .getViewState().
+ * 
+ * Folders and selected nodes which haven't been added yet are restored once they are (see TreeModel.setViewState()),
+ * and the scroll position is restored once the tree has rows and is appended to the document.
+ * Widths of columns which are no longer in the template are ignored.
+ * 
+ * @param {Object} state A view state (all parts are optional).
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype.setViewState = function(state) {
+    
+    if (!this.model.setViewState(state)) {
+        return false;
+    }
+    
+    var columnWidths = (typeof state.columnWidths == 'object' && state.columnWidths) || {};
+    
+    for (var columnId in columnWidths) {
+        
+        var width = columnWidths[columnId];
+        
+        if (this.template.columns[columnId] && (typeof width == 'string' || typeof width == 'number')
+            && !this._renderColumnWidth(columnId, width)) {
+            return false;
+        }
+        
+    }
+    
+    if (typeof state.scrollTop == 'number' && state.scrollTop >= 0) {
+        this.pendingScrollTop = state.scrollTop;
+    }
+    
+    return this._restoreScrollTop() && this._saveViewState();
+}
+
+/**
+ * Sets the width of a column (the width of its header cell, which the rest of the column follows).
+ * 
+ * @param {String} columnId A valid ID of a column.
+ * @param {Number|String} width A width in pixels or a CSS width (e.g. "20%"); Null or "" to follow the CSS.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype.setColumnWidth = function(columnId, width) {
+    
+    if (!this.template.columns[columnId]) {
+        this.onError(new TreeJSError('COLUMN_NOT_FOUND', 'Unable to set column width. Column "' + columnId + '" is not found in the template.', 'setColumnWidth', arguments));
+        return false;
+    }
+    
+    if (!(typeof width == 'number' && width >= 0) && typeof width != 'string' && width !== null) {
+        this.onError(new TreeJSError('INVALID_ARGUMENT', 'Unable to set column width. Width must be a number of pixels or a CSS width.', 'setColumnWidth', arguments));
+        return false;
+    }
+    
+    // Columns are sized by their header cells:
+    if (!this.header) {
+        this.onError(new TreeJSError('INVALID_STATE', 'Unable to set column width. Header is disabled.', 'setColumnWidth', arguments));
+        return false;
+    }
+    
+    return this._renderColumnWidth(columnId, width) && this._saveViewState();
+}
+
+/**
+ * Applies a column width to the header cell of a column.
+ * 
+ * @private
+ * @param {String} columnId A valid ID of a column.
+ * @param {Number|String} width A width in pixels or a CSS width; Null or "" to follow the CSS.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype._renderColumnWidth = function(columnId, width) {
+    
+    // Trees without a header have no widths to restore:
+    if (!this.header || !this.header.cells[columnId]) {
+        return true;
+    }
+    
+    // (older browsers throw on invalid CSS values)
+    try {
+        this.header.cells[columnId].containerNode.style.width = (typeof width == 'number') ? width + 'px' : (width || '');
+    } catch(e) {
+        this.onError(new TreeJSError('DOM_FAILURE', 'Failed to set column width. ' + e, '_renderColumnWidth', arguments, e));
+        return false;
+    }
+    
+    return true;
+}
+
+/**
+ * Returns the element which scrolls the rows: the viewport of a virtual tree or the element the tree is appended to.
+ * 
+ * @private
+ * @returns {Object} A DOM element; Null if the tree isn't appended anywhere.
+ */
+
+TreeJS.prototype._getScrollNode = function() {
+    
+    return this.viewportNode || (this.containerNode && this.containerNode.parentNode) || null;
+    
+}
+
+/**
+ * Applies a scroll position waiting to be restored, once the tree has rows and is appended to the document.
+ * 
+ * @private
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeJS.prototype._restoreScrollTop = function() {
+    
+    var scrollNode = this._getScrollNode();
+    
+    if (this.pendingScrollTop === null || !scrollNode || !this.model.rootNodes.length) {
+        return true;
+    }
+    
+    scrollNode.scrollTop = this.pendingScrollTop;
+    this.pendingScrollTop = null;
+    
+    // Virtual trees render the rows at the new position:
+    return !this.template.virtual || this._invalidateViewport();
+}
+
+/**
+ * Saves the scroll position of the element the tree is appended to whenever it is scrolled.
+ * 
+ * @private
+ * @param {Object} node The element the tree has been appended to.
+ * @returns {Void}
+ */
+
+TreeJS.prototype._watchScroll = function(node) {
+    
+    var that = this;
+    
+    // (the handler of a previous element is removed, since the tree has left it)
+    if (this.scrollListener) {
+        this.scrollListener.node.removeEventListener('scroll', this.scrollListener.handler, false);
+        this.scrollListener = null;
+    }
+    
+    // The element might have a scroll handler of its own, so .onscroll is left alone:
+    if (!this.template.stateKey || !node.addEventListener) {
+        return;
+    }
+    
+    this.scrollListener = {
+        node: node,
+        handler: function() {
+            that._scheduleViewStateSave();
+        }
+    };
+    
+    node.addEventListener('scroll', this.scrollListener.handler, false);
+    
+}
+
+/**
+ * Saves the view state once scrolling stops (instead of on every scroll event).
+ * 
+ * @private
+ * @returns {Void}
+ */
+
+TreeJS.prototype._scheduleViewStateSave = function() {
+    
+    var that = this;
+    
+    if (!this.template.stateKey) {
+        return;
+    }
+    
+    clearTimeout(this.viewStateTimer);
+    
+    this.viewStateTimer = setTimeout(function() {
+        that.viewStateTimer = null;
+        that._saveViewState();
+    }, 250);
+    
+}
+
+/**
+ * Returns the storage of the view state: template.stateStorage or localStorage.
+ * 
+ * @private
+ * @returns {Object} An object with getItem(key) and setItem(key, value) methods; Null if none is available.
+ */
+
+TreeJS.prototype._getStateStorage = function() {
+    
+    if (this.template.stateStorage) {
+        return this.template.stateStorage;
+    }
+    
+    // Accessing localStorage throws where it's disabled (e.g. by privacy settings):
+    try {
+        return window.localStorage || null;
+    } catch(e) {
+        return null;
+    }
+    
+}
+
+/**
+ * Restores the view state saved under template.stateKey (if any).
+ * 
+ * @private
+ * @returns {Boolean} TRUE on success (or if nothing has been saved yet); FALSE on failure.
+ */
+
+TreeJS.prototype._loadViewState = function() {
+    
+    var storage = this._getStateStorage();
+    
+    if (!storage) {
+        this.onError(new TreeJSError('STORAGE_FAILURE', 'Unable to load view state. No storage is available.', '_loadViewState', arguments));
+        return false;
+    }
+    
+    try {
+        var json = storage.getItem(this.template.stateKey);
+        var state = json ? JSON.parse(json) : null;
+    } catch(e) {
+        this.onError(new TreeJSError('STORAGE_FAILURE', 'Unable to load view state. ' + e, '_loadViewState', arguments, e));
+        return false;
+    }
+    
+    // Nothing has been saved yet:
+    if (state == null) {
+        return true;
+    }
+    
+    return this.setViewState(state);
+}
+
+/**
+ * Saves the view state under template.stateKey (or once the current batch ends).
+ * 
+ * @private
+ * @returns {Boolean} TRUE on success (or if the tree has no state key); FALSE on failure.
+ */
+
+TreeJS.prototype._saveViewState = function() {
+    
+    if (!this.template.stateKey) {
+        return true;
+    }
+    
+    if (this.model.isUpdating()) {
+        this.isViewStateDirty = true;
+        return true;
+    }
+    
+    this.isViewStateDirty = false;
+    
+    var storage = this._getStateStorage();
+    
+    // (a missing storage has been reported when the state was loaded)
+    if (!storage) {
+        return false;
+    }
+    
+    // Storages throw when they are full:
+    try {
+        storage.setItem(this.template.stateKey, JSON.stringify(this.getViewState()));
+    } catch(e) {
+        this.onError(new TreeJSError('STORAGE_FAILURE', 'Unable to save view state. ' + e, '_saveViewState', arguments, e));
+        return false;
+    }
+    
+    return true;
+}
+
+/* ========================== UTILITY METHODS ========================== */
+
+/**
+ * Finds a position of an item in an array (Array.indexOf isn't available in old browsers).
+ * 
+ * @private
+ * @param {Array} list An array to search.
+ * @param {Mixed} item An item to find.
+ * @returns {Integer} The position of the item; -1 if not found.
+ */
+
+TreeJS.prototype._indexOf = function(list, item) {
+    
+    for (var i = 0; i < list.length; i++) {
+        if (list[i] === item) {
+            return i;
+        }
+    }
+    
+    return -1;
+}
+
+/**
+ * Adds a CSS class name to an element or removes it.
+ * 
+ * @private
+ * @param {Object} element A DOM element (nothing is done if missing).
+ * @param {String} className A class name.
+ * @param {Boolean} isOn TRUE to add the class name; FALSE to remove it.
+ * @returns {Void}
+ */
+
+TreeJS.prototype._toggleClassName = function(element, className, isOn) {
+    
+    if (!element) {
+        return;
+    }
+    
+    element.className = (' ' + element.className + ' ').replace(' ' + className + ' ', ' ').replace(/^\s+|\s+$/g, '');
+    
+    if (isOn) {
+        element.className += (element.className ? ' ' : '') + className;
+    }
+    
+}
 
 /**
  * Escapes HTML special characters.
@@ -1974,7 +4663,7 @@ TreeJS.prototype._destroyElement = function(element) {
     
     // Node container must be a valid DOM element:
     if (!element || element.nodeType != 1) {
-        this.onError('Unable to destroy DOM element. Invalid DOM element.');
+        this.onError(new TreeJSError('INVALID_ARGUMENT', 'Unable to destroy DOM element. Invalid DOM element.', '_destroyElement', arguments));
         return false;
     }
     
@@ -1996,7 +4685,7 @@ TreeJS.prototype._destroyElement = function(element) {
     
     } catch (e) {
         
-        this.onError('Failed to destroy DOM element. ' + e);
+        this.onError(new TreeJSError('DOM_FAILURE', 'Failed to destroy DOM element. ' + e, '_destroyElement', arguments, e));
         return false;
         
     }
@@ -0,0 +1,4907 @@
+/**
+ * @fileOverview This file contains a TreeModel class - the DOM-free core of TreeJS,
+ * and a TreeJSError class describing its failures.
+ * @author <a href="mailto:sklyanchuk@gmail.com">Oleg Sklyanchuk</a>
+ * @version 0.3.2
+ * @license MIT License
+ */
+
+/**
+ * Creates a new TreeModel object.
+ * 
+ * The model owns tree nodes, their hierarchy, sort order, expansion state and selection.
+ * It never touches the DOM; instead it notifies its subscribers about every change,
+ * so it can be used in Node, in web workers or in unit tests without a browser.
+ * 
+ * @constructor
+ * @param {Object} [template] TreeJS template. Can be set later with .setTemplate() method.
+ * @returns {Void}
+ */
+
+function TreeModel(template) {
+    
+    /**
+     * Directory separator within object IDs.
+     * @constant
+     * @type {String}
+     */
+    
+    this.DIR_SEPARATOR = '/';
+    
+    /**
+     * Holds the tree dataset.
+     * (the object is never replaced, so it is safe to keep a reference to it)
+     * @type {Object}
+     * @private
+     */
+    
+    this.data = {};
+    
+    /**
+     * An associative array of node states.
+     * Folders are described as {isOpen: Boolean, children: Array}, leaves as {}.
+     * Children are kept sorted in accordance with the current sort settings.
+     * Folders with lazily loaded children also have a loadState:
+     * "unloaded", "loading", "loaded" or "failed" (along with the loadError).
+     * @type {Object}
+     * @private
+     */
+    
+    this.nodes = {};
+    
+    /**
+     * A sorted list of IDs of root nodes (the children of the root level).
+     * @type {Array}
+     * @private
+     */
+    
+    this.rootNodes = [];
+    
+    /**
+     * Lists all currently selected nodes and leaves.
+     * (the array is never replaced, so it is safe to keep a reference to it)
+     * @type {Array}
+     * @private
+     */
+    
+    this.selection = [];
+    
+    /**
+     * Lists of change subscribers grouped by event name.
+     * @type {Object}
+     * @private
+     */
+    
+    this.listeners = {};
+    
+    /**
+     * Depth of nested .beginUpdate() calls; zero when no batch is in progress.
+     * @type {Integer}
+     * @private
+     */
+    
+    this.updateDepth = 0;
+    
+    /**
+     * Depth of asynchronous results (e.g. lazily loaded children) being applied;
+     * errors raised meanwhile have no caller to catch them, so they are reported, but never thrown.
+     * @type {Integer}
+     * @private
+     */
+    
+    this.asyncDepth = 0;
+    
+    /**
+     * Callbacks waiting for folders to load (see ._whenLoaded()), keyed by folder ID.
+     * (kept apart from the listeners, so that .off() can't remove them)
+     * @type {Object}
+     * @private
+     */
+    
+    this.loadWaiters = {};
+    
+    /**
+     * Compares strings in accordance with the locale and sensitivity of the template;
+     * Null where Intl.Collator isn't available.
+     * @type {Object}
+     * @private
+     */
+    
+    this.collator = null;
+    
+    /**
+     * Folders (and the root level as "") whose children must be re-sorted when the current batch ends.
+     * @type {Object}
+     * @private
+     */
+    
+    this.staleFolders = {};
+    
+    /**
+     * Aggregate values of folders, keyed by folder ID and column ID (see .getCellValue()).
+     * Each value is kept along with the figures it is computed from:
+     * {value, sum, count, leaves, min, max}
+     * @type {Object}
+     * @private
+     */
+    
+    this.aggregates = {};
+    
+    /**
+     * IDs of columns with an aggregate (figured out when the template is set).
+     * @type {Array}
+     * @private
+     */
+    
+    this.aggregateColumns = [];
+    
+    /**
+     * Folders whose aggregates must be recomputed when the current batch ends.
+     * @type {Object}
+     * @private
+     */
+    
+    this.staleAggregates = {};
+    
+    /**
+     * The active filter (see .filter()); Null if the tree isn't filtered:
+     * {criteria, query, matches, matchCounts, openedIds}, where "matches" lists matching nodes,
+     * "matchCounts" counts matching descendants of folders and "openedIds" lists folders opened by the filter.
+     * @type {Object}
+     * @private
+     */
+    
+    this.filterState = null;
+    
+    /**
+     * Parts of a view state (see .setViewState()) which refer to nodes that haven't been added yet:
+     * {openIds, selection}, both keyed by node ID; Null if there are none.
+     * @type {Object}
+     * @private
+     */
+    
+    this.pendingViewState = null;
+    
+    /**
+     * Whether a view state is being restored; changes made meanwhile don't replace its pending parts.
+     * @type {Boolean}
+     * @private
+     */
+    
+    this.isRestoringState = false;
+    
+    /**
+     * Check states of nodes other than unchecked ones: "checked" or "mixed" (see .check()), keyed by node ID.
+     * @type {Object}
+     * @private
+     */
+    
+    this.checkStates = {};
+    
+    /**
+     * Numbers of checked and mixed children of folders, keyed by folder ID: {checked, mixed}.
+     * @type {Object}
+     * @private
+     */
+    
+    this.checkCounts = {};
+    
+    /**
+     * A current template.
+     * @type {Object}
+     * @private
+     */
+    
+    this.template = {
+        sortColumn: 'name',
+        sortOrder: 'asc',
+        sortSpec: [{column: 'name', order: 'asc'}],
+        columns: {},
+        initialExpandLevel: 0
+    };
+    
+    if (template) {
+        this.setTemplate(template);
+    }
+}
+
+/* ---------------------------------------------------- NOTIFICATIONS ---------------------------------------------------- */
+
+/**
+ * Event methods shared by the model and the renderer (TreeJS copies them onto its own prototype).
+ * The object using them keeps its subscribers in this.listeners and reports errors with this.onError().
+ * See TreeModel.prototype.on() and the following methods for the details.
+ * 
+ * @static
+ * @type {Object}
+ */
+
+TreeModel.emitterMethods = {
+    
+    on: function(eventName, handler) {
+        
+        if (typeof eventName != 'string' || typeof handler != 'function') {
+            this.onError(new TreeJSError('INVALID_ARGUMENT', 'Unable to subscribe. Event name or handler is invalid.', 'on', arguments));
+            return false;
+        }
+        
+        if (!this.listeners[eventName]) {
+            this.listeners[eventName] = [];
+        }
+        
+        this.listeners[eventName].push(handler);
+        
+        return true;
+    },
+    
+    once: function(eventName, handler) {
+        
+        if (typeof handler != 'function') {
+            this.onError(new TreeJSError('INVALID_ARGUMENT', 'Unable to subscribe. Event name or handler is invalid.', 'once', arguments));
+            return false;
+        }
+        
+        var that = this;
+        
+        var wrapper = function() {
+            that.off(eventName, wrapper);
+            return handler.apply(this, arguments);
+        };
+        
+        // Allows to unsubscribe with the original handler:
+        wrapper.handler = handler;
+        
+        return this.on(eventName, wrapper);
+    },
+    
+    off: function(eventName, handler) {
+        
+        var handlers = this.listeners[eventName] || [];
+        
+        if (!handler) {
+            delete this.listeners[eventName];
+            return handlers.length > 0;
+        }
+        
+        for (var i = 0; i < handlers.length; i++) {
+            if (handlers[i] === handler || handlers[i].handler === handler) {
+                handlers.splice(i, 1);
+                return true;
+            }
+        }
+        
+        return false;
+    },
+    
+    _emit: function(eventName) {
+        
+        // Copy the list, so that handlers can safely unsubscribe themselves:
+        var handlers = (this.listeners[eventName] || []).slice(0);
+        var args = Array.prototype.slice.call(arguments, 1);
+        var success = true;
+        
+        for (var i = 0; i < handlers.length; i++) {
+            if (handlers[i].apply(this, args) === false) {
+                success = false;
+            }
+        }
+        
+        return success;
+    }
+    
+};
+
+/**
+ * Subscribes a handler to a model event.
+ * 
+ * Available events and their arguments:
+ *  - nodeAdded (nodeId, nodeData)
+ *  - nodeUpdated (nodeId, changedColumns)
+ *  - nodeRemoved (nodeId)
+ *  - nodeMoved (nodeId, newNodeId, renamedIds) - moved or renamed; renamedIds maps old IDs of the subtree to new ones
+ *  - cellChanged (nodeId, columnId, cellValue)
+ *  - branchOpened (nodeId)
+ *  - branchClosed (nodeId)
+ *  - loadStarted (nodeId)
+ *  - loadEnded (nodeId)
+ *  - loadFailed (nodeId, error)
+ *  - loadCanceled (nodeId) - children won't be loaded, since the folder has been moved or renamed (nodeId is its former ID),
+ *    or the model has been cleared
+ *  - sorted (sortColumn, sortOrder, sortSpec) - the primary key and all keys
+ *  - filtered (criteria) - a filter has been applied; Null when it has been cleared
+ *  - sequenceChanged () - folders have been sorted at the end of a batch
+ *  - updateEnded () - the outermost batch has ended
+ *  - selected (nodeId)
+ *  - deselected (nodeId)
+ *  - selectionChanged (selection)
+ *  - checkStateChanged (nodeId, state) - "checked", "unchecked" or "mixed"
+ *  - checkedChanged () - nodes have been checked or unchecked (see .getChecked())
+ *  - error (error) - a TreeJSError
+ * 
+ * Cancelable events receive a single event object and can veto the action
+ * by returning false or by calling event.preventDefault():
+ *  - beforeBranchOpen ({nodeId})
+ *  - beforeBranchClose ({nodeId})
+ *  - beforeSort ({columnId, sortOrder, sortSpec})
+ *  - beforeSelectionChange ({action, nodeId, lastNodeId})
+ *  - beforeNodeRemove ({nodeId})
+ * 
+ * @param {String} eventName A name of the event to subscribe to.
+ * @param {Function} handler A function to call when the event occurs.
+ *    Returning false from the handler makes the model method that emitted the event return false.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeModel.prototype.on = TreeModel.emitterMethods.on;
+
+/**
+ * Subscribes to a model event for a single notification only.
+ * 
+ * @param {String} eventName A name of the event to subscribe to.
+ * @param {Function} handler A function to invoke once.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeModel.prototype.once = TreeModel.emitterMethods.once;
+
+/**
+ * Unsubscribes a handler from a model event.
+ * 
+ * @param {String} eventName A name of the event to unsubscribe from.
+ * @param {Function} [handler] A previously subscribed function. If omitted, all handlers of the event are removed.
+ * @returns {Boolean} TRUE if the handler has been found and removed; FALSE otherwise.
+ */
+
+TreeModel.prototype.off = TreeModel.emitterMethods.off;
+
+/**
+ * Notifies subscribers about an event.
+ * 
+ * @private
+ * @param {String} eventName A name of the event.
+ * @param {Mixed} [...] Arguments to pass to the handlers.
+ * @returns {Boolean} FALSE if at least one handler returned false; TRUE otherwise.
+ */
+
+TreeModel.prototype._emit = TreeModel.emitterMethods._emit;
+
+/**
+ * Default onError function.
+ * 
+ * Passes the error on to the "error" subscribers.
+ * In strict mode (template.strict) the error is thrown afterwards,
+ * unless it has been raised while an asynchronous result has been applied.
+ * 
+ * @param {TreeJSError} error An error to report.
+ * @returns {Void}
+ * @throws {TreeJSError} In strict mode.
+ */
+
+TreeModel.prototype.onError = function(error) {
+    
+    this._emit('error', error);
+    
+    if (this.template.strict && !this.asyncDepth) {
+        throw error;
+    }
+    
+}
+
+/**
+ * Asks subscribers whether an action may proceed.
+ * 
+ * Subscribers receive an event object with the action details, and can veto
+ * the action either by returning false or by calling event.preventDefault().
+ * 
+ * @private
+ * @param {String} eventName A name of the cancelable event, e.g. "beforeBranchOpen".
+ * @param {Object} event Details of the action, e.g. {nodeId: 'foo/'}.
+ * @returns {Boolean} TRUE if the action has been vetoed; FALSE otherwise.
+ */
+
+TreeModel.prototype._isPrevented = function(eventName, event) {
+    
+    event.type = eventName;
+    event.defaultPrevented = false;
+    event.preventDefault = function() {
+        event.defaultPrevented = true;
+    };
+    
+    return !this._emit(eventName, event) || event.defaultPrevented;
+}
+
+/* ---------------------------------------------------- DATA ---------------------------------------------------- */
+
+/**
+ * Sets new template and clears the model.
+ * 
+ * @param {Object} template Complete and valid template object.
+ *    @param {String} [template.sortColumn] An ID of a column by which to sort the tree.
+ *    @param {String} [template.sortOrder] A column's sort order. Can be either 'asc' or 'desc'.
+ *    @param {Object} [template.columns] Column definitions keyed by column ID.
+ *    @param {Function} [template.loadChildren] Loads children of "__lazy" folders. See .loadChildren().
+ *    @param {Integer} [template.initialExpandLevel] Folders less deep than that are added open (zero by default).
+ *    @param {Boolean} [template.strict] If set to True - errors are thrown instead of being only reported.
+ * @returns {Boolean} True on success; False on failure.
+ */
+
+TreeModel.prototype.setTemplate = function(template) {
+    
+    // The template variable type must be a non-null Object:
+    if (typeof template != 'object' || template == null) {
+        this.onError(new TreeJSError('INVALID_TEMPLATE', 'Unable to set template. Template variable type is invalid.', 'setTemplate', arguments));
+        return false;
+    }
+    
+    // The .sortColumn parameter must be a String:
+    //  - It's not really an issue if a column with such ID doesn't exist
+    if (typeof template.sortColumn != 'string') {
+        template.sortColumn = this.template.sortColumn;
+    }
+    
+    // The .sortOrder parameter must be 'asc' or 'desc' (case-insensitive):
+    //  - I haven't found a way to simulate PHP's in_array() function without an associative array...
+    if (typeof template.sortOrder != 'string' || !(template.sortOrder.toLowerCase() in {'asc':1, 'desc':1})) {
+        template.sortOrder = this.template.sortOrder;
+    }
+    
+    template.sortOrder = template.sortOrder.toLowerCase();
+    
+    // The .sortSpec parameter lists sort keys in order of priority: [{column, order}, ...]
+    //  - If it's missing or invalid - it's made of .sortColumn and .sortOrder,
+    //    otherwise those two are set to the primary key
+    template.sortSpec = this._normalizeSortSpec(template.sortSpec)
+        || [{column: template.sortColumn, order: template.sortOrder}];
+    
+    template.sortColumn = template.sortSpec[0].column;
+    template.sortOrder = template.sortSpec[0].order;
+    
+    // The .columns parameter must be a non-null Object:
+    if (typeof template.columns != 'object' || template.columns == null) {
+        template.columns = {}
+    }
+    
+    // The .sensitivity parameter must be one of Intl.Collator sensitivities:
+    //  - "accent" compares strings case-insensitively, but tells accented letters apart
+    if (!(template.sensitivity in {'base': 1, 'accent': 1, 'case': 1, 'variant': 1})) {
+        template.sensitivity = 'accent';
+    }
+    
+    // The .initialExpandLevel parameter must be a non-negative number:
+    if (typeof template.initialExpandLevel != 'number' || !(template.initialExpandLevel >= 0)) {
+        template.initialExpandLevel = 0;
+    }
+    
+    this.template = template;
+    this.collator = this._createCollator();
+    this.aggregateColumns = [];
+    
+    for (var columnId in template.columns) {
+        if (TreeModel._isAggregate(template.columns[columnId].aggregate)) {
+            this.aggregateColumns.push(columnId);
+        }
+    }
+    
+    return this.clear();
+}
+
+/**
+ * Removes all nodes and resets selection without notifying subscribers.
+ * (except "loadCanceled" for folders which were being loaded)
+ * 
+ * @returns {Boolean} Always TRUE.
+ */
+
+TreeModel.prototype.clear = function() {
+    
+    var loadingIds = [];
+    
+    for (var nodeId in this.nodes) {
+        if (this.nodes[nodeId].loadState == 'loading') {
+            loadingIds.push(nodeId);
+        }
+    }
+    
+    // The data and selection containers are shared by reference,
+    // so they must be emptied rather than replaced:
+    for (var nodeId in this.data) {
+        delete this.data[nodeId];
+    }
+    
+    this.selection.length = 0;
+    this.nodes = {};
+    this.rootNodes = [];
+    this.staleFolders = {};
+    this.aggregates = {};
+    this.staleAggregates = {};
+    this.filterState = null;
+    this.pendingViewState = null;
+    this.checkStates = {};
+    this.checkCounts = {};
+    
+    for (var i = 0; i < loadingIds.length; i++) {
+        this._emit('loadCanceled', loadingIds[i]);
+        this._settleWaiters(loadingIds[i], new TreeJSError('NODE_NOT_FOUND', 'Folder "' + loadingIds[i] + '" has been cleared while loading.', 'loadChildren', [loadingIds[i]]));
+    }
+    
+    return true;
+}
+
+/**
+ * Starts a batch of mutations.
+ * 
+ * Until the matching .endUpdate() call, added and updated nodes are appended
+ * to their folders unsorted, and every affected folder is sorted only once,
+ * when the batch ends. Batches can be nested.
+ * (methods relying on the node sequence, e.g. .selectRange(), might see
+ *  an unsorted sequence while the batch is in progress)
+ * 
+ * @returns {Boolean} Always TRUE.
+ */
+
+TreeModel.prototype.beginUpdate = function() {
+    
+    this.updateDepth++;
+    
+    return true;
+}
+
+/**
+ * Ends a batch of mutations.
+ * 
+ * When the outermost batch ends, the affected folders are sorted
+ * (if necessary) and the "sequenceChanged" subscribers are notified;
+ * then the "updateEnded" subscribers are notified.
+ * 
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeModel.prototype.endUpdate = function() {
+    
+    if (this.updateDepth == 0) {
+        this.onError(new TreeJSError('INVALID_STATE', 'Unable to end update. No update is in progress.', 'endUpdate', arguments));
+        return false;
+    }
+    
+    // Aggregates are recomputed while the batch is still in progress,
+    // so repositioned folders are sorted along with the rest:
+    if (this.updateDepth == 1) {
+        this._refreshStaleAggregates();
+    }
+    
+    this.updateDepth--;
+    
+    if (this.updateDepth > 0) {
+        return true;
+    }
+    
+    var sequenceChanged = false;
+    
+    for (var parentId in this.staleFolders) {
+        
+        // Stale folders might have been removed within the batch:
+        if (parentId == '' || this.nodes[parentId]) {
+            this._getChildList(parentId).sort(this._nodeComparator());
+        }
+        
+        sequenceChanged = true;
+        
+    }
+    
+    this.staleFolders = {};
+    
+    if (sequenceChanged && !this._emit('sequenceChanged')) {
+        return false;
+    }
+    
+    return this._emit('updateEnded');
+}
+
+/**
+ * Runs a function as a single batch of mutations (see .beginUpdate()).
+ * 
+ * @param {Function} fn A function performing the mutations.
+ * @param {Object} [context] An object to use as "this" within the function (defaults to the model).
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeModel.prototype.batch = function(fn, context) {
+    
+    if (typeof fn != 'function') {
+        this.onError(new TreeJSError('INVALID_ARGUMENT', 'Unable to run batch. Argument is not a function.', 'batch', arguments));
+        return false;
+    }
+    
+    this.beginUpdate();
+    
+    try {
+        fn.call(context || this);
+    } finally {
+        var success = this.endUpdate();
+    }
+    
+    return success;
+}
+
+/**
+ * Checks if a batch of mutations is in progress.
+ * 
+ * @returns {Boolean} TRUE if a batch is in progress; FALSE otherwise.
+ */
+
+TreeModel.prototype.isUpdating = function() {
+    
+    return (this.updateDepth > 0);
+    
+}
+
+/**
+ * Updates the model with new data.
+ * 
+ * Existing nodes are compared with the new data field by field:
+ * nodes missing from the new data are removed, new nodes are added
+ * and only the cells whose values actually changed are updated.
+ * 
+ * @param {Object} newData A valid TreeJS dataset.
+ * @returns {Object|Boolean} A summary of the update on success; False on failure:
+ *    {
+ *        added: [nodeId, ...],
+ *        updated: [nodeId, ...],
+ *        removed: [nodeId, ...],
+ *        changedCells: {nodeId: [columnId, ...], ...},
+ *        unchanged: Integer
+ *    }
+ */
+
+TreeModel.prototype.update = function(newData) {
+    
+    // The whole dataset is applied as a single batch:
+    this.beginUpdate();
+    
+    try {
+        return this._applyDataset(newData);
+    } finally {
+        this.endUpdate();
+    }
+    
+}
+
+/**
+ * Applies new data to the model (see .update()).
+ * 
+ * @private
+ * @param {Object} newData A valid TreeJS dataset.
+ * @returns {Object|Boolean} A summary of the update on success; False on failure.
+ */
+
+TreeModel.prototype._applyDataset = function(newData) {
+    
+    // New data must be a non-null object:
+    if (typeof newData != 'object' || newData == null) {
+        this.onError(new TreeJSError('INVALID_DATASET', 'Unable to update tree with new data. Invalid dataset.', 'update', arguments));
+        return false;
+    }
+    
+    // Must fix missing directories (if any):
+    newData = this.fixMissingDirectoriesInDataset(newData);
+    
+    var summary = {
+        added: [],
+        updated: [],
+        removed: [],
+        changedCells: {},
+        unchanged: 0
+    };
+    
+    // Delete nodes which no longer exist:
+    //  - A removed folder takes its children along, and since the new data
+    //    can't contain children without their parents, these children
+    //    are also missing from the new data (and are listed here as well)
+    var missingNodeIds = [];
+    
+    for (var nodeId in this.data) {
+        if (!newData.hasOwnProperty(nodeId)) {
+            missingNodeIds.push(nodeId);
+        }
+    }
+    
+    for (var i = 0; i < missingNodeIds.length; i++) {
+        
+        var nodeId = missingNodeIds[i];
+        
+        if (this.nodes[nodeId] && !this.removeNode(nodeId)) {
+            
+            // Removal has failed, unless the node has been kept by a "beforeNodeRemove" subscriber:
+            if (!this.nodes[nodeId]) {
+                return false;
+            }
+            
+            continue;
+        }
+        
+        summary.removed.push(nodeId);
+        
+    }
+    
+    var newNodeIds = [];
+    
+    for (var nodeId in newData) {
+        
+        // New nodes are added later:
+        if (!this.nodes[nodeId]) {
+            newNodeIds.push(nodeId);
+            continue;
+        }
+        
+        // Patch existing nodes, but only if there are changes:
+        var changedColumns = this.diffNode(nodeId, newData[nodeId]);
+        
+        if (changedColumns === false) {
+            return false;
+        }
+        
+        if (changedColumns.length == 0) {
+            summary.unchanged++;
+            continue;
+        }
+        
+        if (!this.updateNode(nodeId, newData[nodeId])) {
+            return false;
+        }
+        
+        summary.updated.push(nodeId);
+        summary.changedCells[nodeId] = changedColumns;
+        
+    }
+    
+    // Add new nodes:
+    //  - Sorted IDs list parents before their children ("foo/" < "foo/bar"),
+    //    so no parent gets created automatically with incomplete data
+    //  - The .addNode() method will take care of the positioning
+    newNodeIds.sort();
+    
+    for (var i = 0; i < newNodeIds.length; i++) {
+        
+        if (!this.addNode(newNodeIds[i], newData[newNodeIds[i]])) {
+            return false;
+        }
+        
+        summary.added.push(newNodeIds[i]);
+        
+    }
+    
+    return summary;
+}
+
+/**
+ * Compares node values with new data.
+ * 
+ * Only template columns are compared; a missing value equals null.
+ * 
+ * @param {String} nodeId A valid ID of an existing node.
+ * @param {Object} nodeData An associative array of new values.
+ * @returns {Array|Boolean} A list of IDs of changed columns; FALSE on failure.
+ */
+
+TreeModel.prototype.diffNode = function(nodeId, nodeData) {
+    
+    if (!this.nodes[nodeId]) {
+        this.onError(new TreeJSError('NODE_NOT_FOUND', 'Unable to compare node. Node reference not found.', 'diffNode', arguments));
+        return false;
+    }
+    
+    if (typeof nodeData != 'object' || nodeData == null) {
+        this.onError(new TreeJSError('INVALID_DATASET', 'Unable to compare node. Node dataset is invalid.', 'diffNode', arguments));
+        return false;
+    }
+    
+    var changedColumns = [];
+    
+    for (var columnId in this.template.columns) {
+        
+        var newValue = (typeof nodeData[columnId] == 'undefined') ? null : nodeData[columnId];
+        
+        // Strict comparison: the number 5 and the string "5" are different values:
+        if (this.data[nodeId][columnId] !== newValue) {
+            changedColumns.push(columnId);
+        }
+        
+    }
+    
+    return changedColumns;
+}
+
+/**
+ * Fixes missing directories in tree dataset to allow creation of trees by supplying leaf data only.
+ * 
+ * @private
+ * @example
+ *    The dataset {'foo/bar': {'name': 'bar'}} is missing a directory 'foo/';
+ *    Once fixed, becomes: {'foo/': {'name': 'foo'}, 'foo/bar': {'name': 'bar'}}
+ * @param {Object} dataset A dataset which probably misses some parent directories.
+ * @returns {Object|Boolean} A fixed dataset; False on failure.
+ */
+
+TreeModel.prototype.fixMissingDirectoriesInDataset = function(dataset) {
+    
+    // The dataset argument must be a non-null Object:
+    if (typeof dataset != 'object' || dataset == null) {
+        this.onError(new TreeJSError('INVALID_DATASET', 'Unable to fix missing directories in the supplied dataset. The supplied dataset is invalid.', 'fixMissingDirectoriesInDataset', arguments));
+        return false;
+    }
+    
+    for (var nodeId in dataset) {
+        
+        // Break up the path in folder sequence:
+        // (we remove the last item because it is either a leave name
+        //  or it is empty in case we're dealing with a directory)
+        var folderSequence = nodeId.split(this.DIR_SEPARATOR).slice(0, -1);
+        
+        // Boilerplate variable:
+        var folderToCheck = '';
+        
+        // Check existence of folders by iterating through path chunks
+        // and adding them together to form deeper-level parent folders:
+        for (var i = 0; i < folderSequence.length; i++) {
+            
+            folderToCheck += folderSequence[i] + this.DIR_SEPARATOR;
+            
+            // Skip loop if folder exists:
+            if (dataset[folderToCheck]) {
+                continue;
+            }
+            
+            // Folder does not exist, add it to the dataset:
+            dataset[folderToCheck] = {
+                name: folderSequence[i]
+            };
+            
+        }
+        
+    }
+    
+    return dataset;
+}
+
+/**
+ * Inserts a new node into the model.
+ * 
+ * - The node will be inserted in accordance with the current sort options.
+ * - If a node with given ID already exists, an .updateNode() will be called and its result will be returned.
+ * - If the node is an orphan - parents will be created automatically (recursive method).
+ * 
+ * @param {String} nodeId Valid ID (unique, non-empty string) of a node to insert.
+ * @param {Object} [nodeData] Valid dataset of a node to insert.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeModel.prototype.addNode = function(nodeId, nodeData) {
+    
+    // Node ID must be a non-empty string:
+    if (typeof nodeId != 'string' || nodeId.length == 0) {
+        this.onError(new TreeJSError('INVALID_NODE_ID', 'Unable to add node. Node ID is invalid: ' + nodeId, 'addNode', arguments));
+        return false;
+    }
+    
+    // Node ID must be unique:
+    if (this.nodes[nodeId]) {
+        return this.updateNode(nodeId, nodeData);
+    }
+    
+    // nodeData is optional; if not provided we must figure it out from the nodeId:
+    if (!nodeData) {
+        // There are two possibilities: either we're dealing with a folder or with a leaf,
+        // with this in mind a node name could be either the last slice or the one before it
+        var nodeNameVariants = nodeId.split(this.DIR_SEPARATOR).slice(-2);
+        nodeData = {name: nodeNameVariants[1] || nodeNameVariants[0]};
+    }
+    
+    // Node data must be a non-null object:
+    if (typeof nodeData != 'object' || nodeData == null) {
+        this.onError(new TreeJSError('INVALID_DATASET', 'Unable to add node. Node dataset is invalid.', 'addNode', arguments));
+        return false;
+    }
+    
+    // Before adding a node we must check the existence of its parent
+    //  1. Obtain the parent node ID:
+    var parentNodeId = this.getParentIdOf(nodeId);
+    
+    //  2. The parent node might be the root node:
+    var parentIsRoot = (parentNodeId == '' || parentNodeId == nodeId);
+    
+    //  3. If the parent is not root and doesn't exist - attempt to create it:
+    if (!parentIsRoot && !this.nodes[parentNodeId] && !this.addNode(parentNodeId)) {
+        this.onError(new TreeJSError('PARENT_MISSING', 'Unable to add node. Parent node "' + parentNodeId + '" doesn\'t exist.', 'addNode', arguments));
+        return false;
+    }
+    
+    // Now we can safely add the node to the model.
+    
+    // Only the template columns are kept in the dataset:
+    this.data[nodeId] = {};
+    
+    for (var columnId in this.template.columns) {
+        this.data[nodeId][columnId] = (typeof nodeData[columnId] == 'undefined') ? null : nodeData[columnId];
+    }
+    
+    // Folders are collapsed and have a boilerplate array for children:
+    this.nodes[nodeId] = this.isDir(nodeId)
+        ?    {isOpen: false, children: []}
+        :    {};
+    
+    // Folders marked with "__lazy" have children which haven't been loaded yet:
+    if (this.isDir(nodeId) && nodeData['__lazy']) {
+        this.nodes[nodeId].loadState = 'unloaded';
+    }
+    
+    // Folders within the initial expand level are open from the start
+    // (except for lazy ones, which load their children when opened):
+    if (this.isDir(nodeId) && !nodeData['__lazy'] && this.getDepthOf(nodeId) < this.template.initialExpandLevel) {
+        this.nodes[nodeId].isOpen = true;
+    }
+    
+    // Aggregates of a new folder are empty until it has children:
+    if (this.isDir(nodeId) && this.aggregateColumns.length) {
+        this.aggregates[nodeId] = this._computeAggregates(nodeId);
+    }
+    
+    // The new node must be positioned correctly among its siblings:
+    this._insertChild(nodeId);
+    
+    // Nodes added to a checked folder are checked as well, so the folder stays checked:
+    if (this.getCheckState(parentNodeId) == 'checked') {
+        this._setCheckState(nodeId, 'checked', []);
+    }
+    
+    this._updateAggregates(nodeId, null, this._figuresOf(nodeId));
+    
+    // An active filter applies to new nodes as well:
+    if (this.filterState) {
+        this._setMatch(nodeId, this._evaluateFilter(nodeId));
+    }
+    
+    var isEmitted = this._emit('nodeAdded', nodeId, nodeData);
+    
+    // (folders are opened once the row of the node exists)
+    if (this.isMatch(nodeId)) {
+        this._expandToMatch(nodeId);
+    }
+    
+    if (this.pendingViewState) {
+        this._restorePendingState(nodeId);
+    }
+    
+    return isEmitted;
+}
+
+/**
+ * Updates all values of a node with new data.
+ * 
+ * Cells whose values haven't changed are left untouched.
+ * Values missing from the new data are reset to null.
+ * 
+ * @param {String} nodeId A valid ID of a node to update.
+ * @param {Object} nodeData An associative array of values to put into cells.
+ * @returns {Boolean} TRUE on successful update; FALSE on failure.
+ */
+
+TreeModel.prototype.updateNode = function(nodeId, nodeData) {
+    
+    // Node ID must be a string:
+    if (typeof nodeId != 'string') {
+        this.onError(new TreeJSError('INVALID_NODE_ID', 'Unable to update node. Node ID is invalid.', 'updateNode', arguments));
+        return false;
+    }
+    
+    // Node must already exist in the tree:
+    if (!this.nodes[nodeId]) {
+        this.onError(new TreeJSError('NODE_NOT_FOUND', 'Unable to update node. Node reference not found.', 'updateNode', arguments));
+        return false;
+    }
+    
+    // Node data must be a non-null object:
+    if (typeof nodeData != 'object' || nodeData == null) {
+        this.onError(new TreeJSError('INVALID_DATASET', 'Unable to update node. Node dataset is invalid.', 'updateNode', arguments));
+        return false;
+    }
+    
+    // Only the changed cells are updated:
+    //  - If you supply more values than needed - the rest will be ignored
+    var changedColumns = this.diffNode(nodeId, nodeData);
+    
+    if (changedColumns.length == 0) {
+        return true;
+    }
+    
+    // (the node gets repositioned among its siblings if its sort value changes)
+    for (var i = 0; i < changedColumns.length; i++) {
+        
+        // The update will be interrupted on at least one cell update failure (maybe not the best idea)
+        if (!this.setCellValue(nodeId, changedColumns[i], nodeData[changedColumns[i]])) {
+            return false;
+        }
+        
+    }
+    
+    return this._emit('nodeUpdated', nodeId, changedColumns);
+}
+
+/**
+ * Removes existing node, its children, and their references from the model.
+ * 
+ * The removal can be vetoed by "beforeNodeRemove" subscribers.
+ * 
+ * @param {String} nodeId A valid ID of a node to remove.
+ * @returns {Boolean} TRUE on successful removal; FALSE on failure or if vetoed.
+ */
+
+TreeModel.prototype.removeNode = function(nodeId) {
+    
+    // Node ID must be a string:
+    if (typeof nodeId != 'string') {
+        this.onError(new TreeJSError('INVALID_NODE_ID', 'Unable to remove node. Node ID is invalid.', 'removeNode', arguments));
+        return false;
+    }
+    
+    // Node reference must exist:
+    if (!this.nodes[nodeId]) {
+        this.onError(new TreeJSError('NODE_NOT_FOUND', 'Unable to remove node. Node reference not found.', 'removeNode', arguments));
+        return false;
+    }
+    
+    // The whole subtree is kept if the removal is vetoed:
+    if (this._isPrevented('beforeNodeRemove', {nodeId: nodeId})) {
+        return false;
+    }
+    
+    // Nodes within a removed folder are no longer restored once they are added:
+    if (this.isDir(nodeId)) {
+        this._dropPendingState('openIds', nodeId);
+        this._dropPendingState('selection', nodeId);
+    }
+    
+    var figures = this._figuresOf(nodeId);
+    var isRemoved = this._removeSubtree(nodeId);
+    var checkChanges = [];
+    
+    // Ancestors are only updated once, when the whole subtree is gone:
+    this._updateAggregates(nodeId, figures, null);
+    this._refreshCheckPath(nodeId, checkChanges);
+    
+    return this._emitCheckChanges(checkChanges) && isRemoved;
+}
+
+/**
+ * Removes a node and its children without consulting "beforeNodeRemove" subscribers.
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of a node to remove.
+ * @returns {Boolean} TRUE on successful removal; FALSE on failure.
+ */
+
+TreeModel.prototype._removeSubtree = function(nodeId) {
+    
+    // Orphans are not allowed (I'm so cruel...)
+    // so remove children of a directory first:
+    //  - Iterating a copy, because each removal modifies the original list
+    if (this.isDir(nodeId)) {
+        
+        var children = this.nodes[nodeId].children.slice(0);
+        
+        for (var i = 0; i < children.length; i++) {
+            this._removeSubtree(children[i]);
+        }
+        
+    }
+    
+    // We must remove the node from selection
+    // (bypassing .changeSelection(), which can be vetoed):
+    if (this.inSelection(nodeId) !== false) {
+        this._removeFromSelection(nodeId);
+        this._emit('selectionChanged', this.selection);
+    }
+    
+    // Also remove from parent's children:
+    this._removeChild(nodeId);
+    
+    if (this.filterState) {
+        this._setMatch(nodeId, false);
+        delete this.filterState.openedIds[nodeId];
+    }
+    
+    // (the parent stops counting the node)
+    this._setCheckState(nodeId, 'unchecked', []);
+    delete this.checkCounts[nodeId];
+    
+    delete this.nodes[nodeId];
+    delete this.data[nodeId];
+    delete this.aggregates[nodeId];
+    delete this.staleAggregates[nodeId];
+    
+    var isEmitted = this._emit('nodeRemoved', nodeId);
+    
+    if (this.loadWaiters[nodeId]) {
+        this._settleWaiters(nodeId, new TreeJSError('NODE_NOT_FOUND', 'Folder "' + nodeId + '" has been removed while loading.', 'loadChildren', [nodeId]));
+    }
+    
+    return isEmitted;
+}
+
+/**
+ * Moves a node (and all of its descendants) to another folder.
+ * 
+ * IDs of the node and of its descendants are rewritten, e.g. moving "foo/bar/" to "baz/"
+ * turns "foo/bar/item" into "baz/bar/item". Their data, open/closed states and selection are kept.
+ * 
+ * @param {String} nodeId A valid ID of a node to move.
+ * @param {String} newParentId A valid ID of the target folder ("" for the root level).
+ * @returns {String|Boolean} The new ID of the node on success; FALSE on failure.
+ */
+
+TreeModel.prototype.moveNode = function(nodeId, newParentId) {
+    
+    if (!this.nodes[nodeId]) {
+        this.onError(new TreeJSError('NODE_NOT_FOUND', 'Unable to move node. Node reference not found.', 'moveNode', arguments));
+        return false;
+    }
+    
+    if (newParentId !== '' && !this.isDir(newParentId)) {
+        this.onError(new TreeJSError('NOT_A_FOLDER', 'Unable to move node. Target is not a folder.', 'moveNode', arguments));
+        return false;
+    }
+    
+    if (newParentId !== '' && !this.nodes[newParentId]) {
+        this.onError(new TreeJSError('NODE_NOT_FOUND', 'Unable to move node. Target folder "' + newParentId + '" not found.', 'moveNode', arguments));
+        return false;
+    }
+    
+    // A folder can't be moved into itself or into its own descendant:
+    if (this.isDir(nodeId) && newParentId.substr(0, nodeId.length) == nodeId) {
+        this.onError(new TreeJSError('INVALID_ARGUMENT', 'Unable to move node. A folder can\'t be moved into itself.', 'moveNode', arguments));
+        return false;
+    }
+    
+    var parentId = this.getParentIdOf(nodeId);
+    
+    // The node keeps its own name, e.g. "bar/" of "foo/bar/":
+    return this._relocateNode(nodeId, newParentId + nodeId.substr(parentId.length), 'moveNode', arguments);
+}
+
+/**
+ * Renames a node and rewrites IDs of all of its descendants.
+ * 
+ * Renaming "foo/bar/" to "baz" turns "foo/bar/item" into "foo/baz/item".
+ * The value of the "name" cell is set to the new name.
+ * 
+ * @param {String} nodeId A valid ID of a node to rename.
+ * @param {String} newName A new name (must not contain the directory separator).
+ * @returns {String|Boolean} The new ID of the node on success; FALSE on failure.
+ */
+
+TreeModel.prototype.renameNode = function(nodeId, newName) {
+    
+    if (!this.nodes[nodeId]) {
+        this.onError(new TreeJSError('NODE_NOT_FOUND', 'Unable to rename node. Node reference not found.', 'renameNode', arguments));
+        return false;
+    }
+    
+    if (typeof newName != 'string' || newName == '' || newName.indexOf(this.DIR_SEPARATOR) != -1) {
+        this.onError(new TreeJSError('INVALID_ARGUMENT', 'Unable to rename node. The new name must be a non-empty string without "' + this.DIR_SEPARATOR + '".', 'renameNode', arguments));
+        return false;
+    }
+    
+    var newNodeId = this.getParentIdOf(nodeId) + newName + (this.isDir(nodeId) ? this.DIR_SEPARATOR : '');
+    
+    if (!this._relocateNode(nodeId, newNodeId, 'renameNode', arguments)) {
+        return false;
+    }
+    
+    if (this.template.columns.hasOwnProperty('name') && !this.setCellValue(newNodeId, 'name', newName)) {
+        return false;
+    }
+    
+    return newNodeId;
+}
+
+/**
+ * Changes the ID of a node and rewrites IDs of all of its descendants.
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of a node to relocate.
+ * @param {String} newNodeId A new ID of the node (its parent must exist).
+ * @param {String} method A name of the public method (for error reporting).
+ * @param {Arguments} args Arguments of the public method (for error reporting).
+ * @returns {String|Boolean} The new ID of the node once it has been relocated
+ *    (a failure of a subscriber is reported, but the node stays relocated); FALSE on failure.
+ */
+
+TreeModel.prototype._relocateNode = function(nodeId, newNodeId, method, args) {
+    
+    if (newNodeId == nodeId) {
+        return newNodeId;
+    }
+    
+    if (this.nodes[newNodeId]) {
+        this.onError(new TreeJSError('NODE_EXISTS', 'Unable to relocate node. Node "' + newNodeId + '" already exists.', method, args));
+        return false;
+    }
+    
+    // Map old IDs of the whole subtree to the new ones:
+    var subtree = [nodeId].concat(this.getDescendantsOf(nodeId));
+    var renamedIds = {};
+    
+    for (var i = 0; i < subtree.length; i++) {
+        renamedIds[subtree[i]] = newNodeId + subtree[i].substr(nodeId.length);
+    }
+    
+    this._removeChild(nodeId);
+    
+    // The node leaves the check counts of its old parent and joins the ones of the new parent:
+    var checkState = this.getCheckState(nodeId);
+    var checkChanges = [];
+    
+    this._setCheckState(nodeId, 'unchecked', []);
+    
+    // Matches are found once again, since the filter might depend on the ID:
+    var openedIds = {};
+    
+    if (this.filterState) {
+        
+        for (var oldId in renamedIds) {
+            
+            this._setMatch(oldId, false);
+            
+            if (this.filterState.openedIds[oldId]) {
+                delete this.filterState.openedIds[oldId];
+                openedIds[renamedIds[oldId]] = true;
+            }
+            
+        }
+        
+    }
+    
+    // Collect the states first, since old and new IDs are processed in no particular order:
+    var nodes = {};
+    var data = {};
+    var aggregates = {};
+    var checkStates = {};
+    var checkCounts = {};
+    var canceledIds = {};
+    
+    for (var oldId in renamedIds) {
+        
+        nodes[oldId] = this.nodes[oldId];
+        data[oldId] = this.data[oldId];
+        aggregates[oldId] = this.aggregates[oldId];
+        checkStates[oldId] = this.checkStates[oldId];
+        checkCounts[oldId] = this.checkCounts[oldId];
+        
+        delete this.nodes[oldId];
+        delete this.data[oldId];
+        delete this.aggregates[oldId];
+        delete this.checkStates[oldId];
+        delete this.checkCounts[oldId];
+        
+    }
+    
+    for (var oldId in renamedIds) {
+        
+        var newId = renamedIds[oldId];
+        var node = this.nodes[newId] = nodes[oldId];
+        
+        this.data[newId] = data[oldId];
+        
+        if (checkStates[oldId]) {
+            this.checkStates[newId] = checkStates[oldId];
+        }
+        
+        if (!node.children) {
+            continue;
+        }
+        
+        if (aggregates[oldId]) {
+            this.aggregates[newId] = aggregates[oldId];
+        }
+        
+        if (checkCounts[oldId]) {
+            this.checkCounts[newId] = checkCounts[oldId];
+        }
+        
+        if (this.staleAggregates[oldId]) {
+            delete this.staleAggregates[oldId];
+            this.staleAggregates[newId] = true;
+        }
+        
+        // Children share the same prefix, so their order doesn't change:
+        for (var i = 0; i < node.children.length; i++) {
+            node.children[i] = renamedIds[node.children[i]];
+        }
+        
+        if (this.staleFolders[oldId]) {
+            delete this.staleFolders[oldId];
+            this.staleFolders[newId] = true;
+        }
+        
+        // Pending results of a lazy loader are addressed to the old ID, so they are dropped
+        // (and the folder is loaded once again when opened):
+        if (node.loadState == 'loading') {
+            node.loadState = 'unloaded';
+            node.isOpen = false;
+            delete node.loadRequest;
+            canceledIds[oldId] = newId;
+        }
+        
+    }
+    
+    this._insertChild(newNodeId);
+    
+    // (a node moved to another folder keeps its state, and both folders are updated)
+    this._setCheckState(newNodeId, checkState, []);
+    this._refreshCheckPath(nodeId, checkChanges);
+    this._refreshCheckPath(newNodeId, checkChanges);
+    
+    if (this.filterState) {
+        
+        for (var newId in openedIds) {
+            this.filterState.openedIds[newId] = true;
+        }
+        
+        for (var oldId in renamedIds) {
+            this._setMatch(renamedIds[oldId], this._evaluateFilter(renamedIds[oldId]));
+        }
+        
+    }
+    
+    // A moved node leaves aggregates of its old ancestors and joins those of the new ones:
+    if (this.getParentIdOf(nodeId) != this.getParentIdOf(newNodeId)) {
+        
+        var figures = this._figuresOf(newNodeId);
+        
+        this._updateAggregates(nodeId, figures, null);
+        this._updateAggregates(newNodeId, null, figures);
+        
+    }
+    
+    // Selection keeps its order, only the IDs are rewritten:
+    var isSelectionChanged = false;
+    
+    for (var i = 0; i < this.selection.length; i++) {
+        if (renamedIds[this.selection[i]]) {
+            this.selection[i] = renamedIds[this.selection[i]];
+            isSelectionChanged = true;
+        }
+    }
+    
+    // The node has been relocated already, so all subscribers are notified whatever happens:
+    var isEmitted = this._emit('nodeMoved', nodeId, newNodeId, renamedIds);
+    
+    // Subscribers learn that the folders are closed and no longer loading:
+    for (var oldId in canceledIds) {
+        isEmitted = this._emit('branchClosed', canceledIds[oldId]) && isEmitted;
+        isEmitted = this._emit('loadCanceled', oldId) && isEmitted;
+        this._settleWaiters(oldId, new TreeJSError('NODE_NOT_FOUND', 'Folder "' + oldId + '" has been moved while loading.', 'loadChildren', [oldId]));
+    }
+    
+    for (var oldId in renamedIds) {
+        if (this.isMatch(renamedIds[oldId])) {
+            this._expandToMatch(renamedIds[oldId]);
+        }
+    }
+    
+    if (isSelectionChanged) {
+        isEmitted = this._emit('selectionChanged', this.selection) && isEmitted;
+    }
+    
+    isEmitted = this._emitCheckChanges(checkChanges) && isEmitted;
+    
+    if (!isEmitted) {
+        this.onError(new TreeJSError('OPERATION_FAILED', 'Node "' + nodeId + '" has been relocated to "' + newNodeId + '", but a subscriber has failed to handle it.', method, args));
+    }
+    
+    return newNodeId;
+}
+
+/**
+ * (Re)sets a cell value in the tree dataset.
+ * 
+ * @param {String} nodeId A valid ID of a node with a cell to update.
+ * @param {String} columnId A valid ID of a cell column.
+ * @param {String|Number|Boolean|Null} cellValue Value to put inside of the cell.
+ *    Must be of 'number', 'string', 'boolean' type OR null OR undefined.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeModel.prototype.setCellValue = function(nodeId, columnId, cellValue) {
+    
+    // The node must exist:
+    if (!this.nodes[nodeId] || typeof this.data[nodeId] != 'object') {
+        this.onError(new TreeJSError('NODE_NOT_FOUND', 'Unable to set cell value. Node not found.', 'setCellValue', arguments));
+        return false;
+    }
+    
+    // The column must exist within template:
+    if (!this.template.columns[columnId]) {
+        this.onError(new TreeJSError('COLUMN_NOT_FOUND', 'Unable to set cell value. Cell not found.', 'setCellValue', arguments));
+        return false;
+    }
+    
+    // Validate cell value (the same way as .validateDataset() does):
+    if (!TreeModel._isScalar(cellValue)) {
+        this.onError(new TreeJSError('INVALID_VALUE', 'Unable to set cell value. Value type must be: Number, String, Boolean, Null or Undefined.', 'setCellValue', arguments));
+        return false;
+    }
+    
+    // A change of the sort value requires repositioning of the node among its siblings:
+    //  - The node must be found (by its old value) before the value changes
+    var isSortValue = this.isSortColumn(columnId);
+    
+    if (isSortValue) {
+        this._removeChild(nodeId);
+    }
+    
+    // Values of leaves make up aggregates of their ancestors:
+    var isAggregated = TreeModel._isAggregate(this.template.columns[columnId].aggregate) && !this.isDir(nodeId);
+    var removed = {};
+    var added = {};
+    
+    if (isAggregated) {
+        removed[columnId] = this._figuresOf(nodeId, columnId);
+    }
+    
+    this.data[nodeId][columnId] = (typeof cellValue == 'undefined') ? null : cellValue;
+    
+    if (isSortValue) {
+        this._insertChild(nodeId);
+    }
+    
+    // The node might start or stop matching the active filter:
+    var wasMatch = this.isMatch(nodeId);
+    
+    if (this.filterState) {
+        this._setMatch(nodeId, this._evaluateFilter(nodeId));
+    }
+    
+    var isEmitted = this._emit('cellChanged', nodeId, columnId, this.data[nodeId][columnId]);
+    
+    if (isAggregated) {
+        added[columnId] = this._figuresOf(nodeId, columnId);
+        this._updateAggregates(nodeId, removed, added);
+    }
+    
+    if (!wasMatch && this.isMatch(nodeId)) {
+        this._expandToMatch(nodeId);
+    }
+    
+    return isEmitted;
+}
+
+/**
+ * Returns a value of a cell.
+ * 
+ * Folder cells of columns with an aggregate hold the value computed from their descendants
+ * (the value given for the folder itself is ignored); the rest hold the values as they are set.
+ * 
+ * @param {String} nodeId A valid ID of a node.
+ * @param {String} columnId A valid ID of a column.
+ * @returns {Mixed} The cell value (Null if empty); Undefined if the node or the column doesn't exist.
+ */
+
+TreeModel.prototype.getCellValue = function(nodeId, columnId) {
+    
+    var aggregates = this.aggregates[nodeId];
+    
+    if (aggregates && aggregates[columnId]) {
+        return aggregates[columnId].value;
+    }
+    
+    return this.data[nodeId] ? this.data[nodeId][columnId] : undefined;
+}
+
+/**
+ * Returns an ID of a parent node.
+ * 
+ * @param {String} nodeId A valid node ID.
+ * @returns {String|Boolean} Parent node ID (empty string for root nodes) on success; FALSE on failure.
+ */
+
+TreeModel.prototype.getParentIdOf = function(nodeId) {
+    
+    return (typeof nodeId == 'string')
+        ? nodeId.substr(0, nodeId.substr(0, nodeId.length-1).lastIndexOf(this.DIR_SEPARATOR) + 1)
+        : false;
+    
+}
+
+/**
+ * Returns the depth of a node within the hierarchy.
+ * 
+ * @param {String} nodeId A valid node ID.
+ * @returns {Integer} Zero for root nodes, one for their children, etc.
+ */
+
+TreeModel.prototype.getDepthOf = function(nodeId) {
+    
+    // "foo/" and "foo" are at level 0; "foo/bar/" and "foo/bar" are at level 1:
+    return nodeId.split(this.DIR_SEPARATOR).length - (this.isDir(nodeId) ? 2 : 1);
+    
+}
+
+/**
+ * Checks if a node ID represents a directory.
+ * 
+ * @param {String} nodeId Valid ID of a node to check.
+ * @return {Boolean} TRUE if the node is a directory; FALSE otherwise.
+ */
+
+TreeModel.prototype.isDir = function(nodeId) {
+    
+    // Folder IDs' last character equal the constant DIR_SEPARATOR:
+    //  - "foo/", "foo/bar/" are folders
+    //  - "foo", "foo/bar" are leaves
+    return (typeof nodeId == 'string' && nodeId.substr(nodeId.length - 1, 1) == this.DIR_SEPARATOR);
+    
+}
+
+/**
+ * Checks if a node is visible, i.e. if all of its ancestors are open (and the active filter, if any, keeps it).
+ * 
+ * @param {String} nodeId A valid ID of a node to check.
+ * @returns {Boolean} TRUE if the node is visible; FALSE otherwise.
+ */
+
+TreeModel.prototype.isVisible = function(nodeId) {
+    
+    if (!this.nodes[nodeId] || this.isFilteredOut(nodeId)) {
+        return false;
+    }
+    
+    for (var parentId = this.getParentIdOf(nodeId); parentId; parentId = this.getParentIdOf(parentId)) {
+        if (!this.nodes[parentId] || !this.nodes[parentId].isOpen) {
+            return false;
+        }
+    }
+    
+    return true;
+}
+
+/* ---------------------------------------------------- BRANCHES ---------------------------------------------------- */
+
+/**
+ * Opens (unfolds) all branches.
+ * 
+ * @returns {Boolean} TRUE on success; FALSE if at least one branch fails to open.
+ */
+
+TreeModel.prototype.openAllBranches = function() {
+    
+    var states = {};
+    
+    for (var nodeId in this.nodes) {
+        if (this.isDir(nodeId)) {
+            states[nodeId] = true;
+        }
+    }
+    
+    return this._setBranchStates(states, 'openAllBranches');
+}
+
+/**
+ * Closes (folds) all branches.
+ * 
+ * @returns {Boolean} TRUE on success; FALSE if at least one branch fails to close.
+ */
+
+TreeModel.prototype.closeAllBranches = function() {
+    
+    var states = {};
+    
+    for (var nodeId in this.nodes) {
+        if (this.isDir(nodeId)) {
+            states[nodeId] = false;
+        }
+    }
+    
+    return this._setBranchStates(states, 'closeAllBranches');
+}
+
+/**
+ * Opens folders down to a given depth and closes the deeper ones,
+ * e.g. .expandToLevel(1) shows the root nodes and their children only.
+ * 
+ * Lazy folders within the depth load their children when opened,
+ * but their descendants aren't opened once loaded.
+ * 
+ * @param {Integer} level A number of folder levels to open (zero closes all branches).
+ * @returns {Boolean} TRUE on success; FALSE if at least one branch fails to open or close.
+ */
+
+TreeModel.prototype.expandToLevel = function(level) {
+    
+    if (typeof level != 'number' || !(level >= 0)) {
+        this.onError(new TreeJSError('INVALID_ARGUMENT', 'Unable to expand. Level must be a non-negative number.', 'expandToLevel', arguments));
+        return false;
+    }
+    
+    var states = {};
+    
+    for (var nodeId in this.nodes) {
+        if (this.isDir(nodeId)) {
+            states[nodeId] = (this.getDepthOf(nodeId) < level);
+        }
+    }
+    
+    return this._setBranchStates(states, 'expandToLevel');
+}
+
+/**
+ * Opens a folder along with all of its descendant folders.
+ * 
+ * @param {String} nodeId A valid ID of a folder.
+ * @returns {Boolean} TRUE on success; FALSE if at least one branch fails to open.
+ */
+
+TreeModel.prototype.expandSubtree = function(nodeId) {
+    
+    var states = this._subtreeStates(nodeId, true, 'expandSubtree');
+    
+    return !!states && this._setBranchStates(states, 'expandSubtree');
+}
+
+/**
+ * Closes a folder along with all of its descendant folders.
+ * 
+ * @param {String} nodeId A valid ID of a folder.
+ * @returns {Boolean} TRUE on success; FALSE if at least one branch fails to close.
+ */
+
+TreeModel.prototype.collapseSubtree = function(nodeId) {
+    
+    var states = this._subtreeStates(nodeId, false, 'collapseSubtree');
+    
+    return !!states && this._setBranchStates(states, 'collapseSubtree');
+}
+
+/**
+ * Lists a folder and all of its descendant folders with the same open state.
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of a folder.
+ * @param {Boolean} isOpen The state to assign.
+ * @param {String} method A name of the calling method (for error reports).
+ * @returns {Object|Boolean} A map of folder IDs to the state; FALSE on failure.
+ */
+
+TreeModel.prototype._subtreeStates = function(nodeId, isOpen, method) {
+    
+    if (typeof nodeId != 'string' || !this.isDir(nodeId)) {
+        this.onError(new TreeJSError('NOT_A_FOLDER', 'Unable to ' + (isOpen ? 'expand' : 'collapse') + ' subtree. Target is not a folder.', method, [nodeId]));
+        return false;
+    }
+    
+    if (!this.nodes[nodeId]) {
+        this.onError(new TreeJSError('NODE_NOT_FOUND', 'Unable to ' + (isOpen ? 'expand' : 'collapse') + ' subtree. Node reference not found.', method, [nodeId]));
+        return false;
+    }
+    
+    var states = {};
+    var folderIds = [nodeId];
+    
+    while (folderIds.length) {
+        
+        var folderId = folderIds.pop();
+        var children = this.nodes[folderId].children;
+        
+        states[folderId] = isOpen;
+        
+        for (var i = 0; i < children.length; i++) {
+            if (this.isDir(children[i])) {
+                folderIds.push(children[i]);
+            }
+        }
+        
+    }
+    
+    return states;
+}
+
+/**
+ * Opens and closes folders within a single batch, skipping the ones which are already in the right state,
+ * so that subscribers can redraw the tree once, when the batch ends.
+ * 
+ * @private
+ * @param {Object} states A map of folder IDs to open states (True - open, False - closed).
+ * @param {String} method A name of the calling method (for error reports).
+ * @returns {Boolean} TRUE on success; FALSE if at least one branch fails to change its state.
+ */
+
+TreeModel.prototype._setBranchStates = function(states, method) {
+    
+    var success = true;
+    
+    this.beginUpdate();
+    
+    for (var nodeId in states) {
+        
+        // Folders might have been removed (e.g. by event subscribers) in the meantime:
+        if (!this.nodes[nodeId] || this.nodes[nodeId].isOpen == states[nodeId]) {
+            continue;
+        }
+        
+        // Branches kept as they are by "beforeBranchOpen" and "beforeBranchClose" subscribers are skipped:
+        if (!(states[nodeId] ? this.openBranch(nodeId) : this.closeBranch(nodeId)) && this.nodes[nodeId] && this.nodes[nodeId].isOpen == states[nodeId]) {
+            this.onError(new TreeJSError('OPERATION_FAILED', 'Failed to ' + (states[nodeId] ? 'open' : 'close') + ' branch "' + nodeId + '".', method, [nodeId]));
+            success = false;
+            break;
+        }
+        
+    }
+    
+    return this.endUpdate() && success;
+}
+
+/**
+ * Toggles a branch (opens or closes depending on its state).
+ * 
+ * @param {String} nodeId A valid ID of a node to toggle.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeModel.prototype.toggleBranch = function(nodeId) {
+    
+    // Node ID must be a string:
+    if (typeof nodeId != 'string') {
+        this.onError(new TreeJSError('INVALID_NODE_ID', 'Unable to toggle branch. Node ID is invalid.', 'toggleBranch', arguments));
+        return false;
+    }
+    
+    if (!this.isDir(nodeId)) {
+        this.onError(new TreeJSError('NOT_A_FOLDER', 'Unable to toggle branch. Target is a leaf node.', 'toggleBranch', arguments));
+        return false;
+    }
+    
+    if (!this.nodes[nodeId]) {
+        this.onError(new TreeJSError('NODE_NOT_FOUND', 'Unable to toggle branch. Node reference not found.', 'toggleBranch', arguments));
+        return false;
+    }
+    
+    return (this.nodes[nodeId].isOpen)
+        ? this.closeBranch(nodeId)
+        : this.openBranch(nodeId);
+}
+
+/**
+ * Opens a branch.
+ * 
+ * The action can be vetoed by "beforeBranchOpen" subscribers.
+ * 
+ * @param {String} nodeId A valid ID of a node to open.
+ * @returns {Boolean} TRUE on success; FALSE on failure or if vetoed.
+ */
+
+TreeModel.prototype.openBranch = function(nodeId) {
+    
+    if (!this.isDir(nodeId)) {
+        this.onError(new TreeJSError('NOT_A_FOLDER', 'Unable to open branch. Target is a leaf node.', 'openBranch', arguments));
+        return false;
+    }
+    
+    if (typeof this.nodes[nodeId] != 'object') {
+        return false;
+    }
+    
+    if (this._isPrevented('beforeBranchOpen', {nodeId: nodeId})) {
+        return false;
+    }
+    
+    this.nodes[nodeId].isOpen = true;
+    
+    if (!this._emit('branchOpened', nodeId)) {
+        return false;
+    }
+    
+    // Lazy folders load their children when opened for the first time
+    // (or once again, if the previous attempt has failed):
+    if (this.nodes[nodeId].loadState == 'unloaded' || this.nodes[nodeId].loadState == 'failed') {
+        return this.loadChildren(nodeId);
+    }
+    
+    return true;
+}
+
+/**
+ * Opens all ancestors of a node, outermost first.
+ * 
+ * Lazy ancestors are loaded on the way, so the node doesn't have to be loaded yet,
+ * e.g. .openPath('foo/bar/baz') loads "foo/" (if lazy), then "foo/bar/" and then checks that "baz" exists.
+ * 
+ * @param {String} nodeId An ID of a node to make reachable.
+ * @param {Function} [callback] Called as callback(error) once all ancestors are open;
+ *    the error is a TreeJSError or Null. Called right away unless something has to be loaded.
+ * @returns {Boolean} TRUE if the ancestors are open (or being loaded); FALSE on failure.
+ */
+
+TreeModel.prototype.openPath = function(nodeId, callback) {
+    
+    if (typeof nodeId != 'string' || nodeId.length == 0) {
+        this.onError(new TreeJSError('INVALID_NODE_ID', 'Unable to open path. Node ID is invalid: ' + nodeId, 'openPath', arguments));
+        return false;
+    }
+    
+    var args = arguments;
+    var ancestors = [];
+    var that = this;
+    
+    for (var parentId = this.getParentIdOf(nodeId); parentId; parentId = this.getParentIdOf(parentId)) {
+        ancestors.unshift(parentId);
+    }
+    
+    var fail = function(error) {
+        
+        that.onError(error);
+        
+        if (typeof callback == 'function') {
+            callback(error);
+        }
+        
+        return false;
+    };
+    
+    // Opens the ancestors from the given one on, and waits whenever one of them is being loaded:
+    var openFrom = function(i) {
+        
+        for (; i < ancestors.length; i++) {
+            
+            var folder = that.nodes[ancestors[i]];
+            
+            if (!folder) {
+                return fail(new TreeJSError('NODE_NOT_FOUND', 'Unable to open path. Folder "' + ancestors[i] + '" not found.', 'openPath', args));
+            }
+            
+            if (!folder.isOpen) {
+                
+                var loadError = folder.loadError;
+                var isOpened = that.openBranch(ancestors[i]);
+                
+                // A lazy folder which has failed to load right away has reported the failure already:
+                if (folder.loadError && folder.loadError !== loadError) {
+                    
+                    if (typeof callback == 'function') {
+                        callback(folder.loadError);
+                    }
+                    
+                    return false;
+                }
+                
+                if (!isOpened && !folder.isOpen) {
+                    return fail(new TreeJSError('OPERATION_FAILED', 'Unable to open path. Folder "' + ancestors[i] + '" has not been opened.', 'openPath', args));
+                }
+                
+            }
+            
+            if (folder.loadState == 'loading') {
+                
+                that._whenLoaded(ancestors[i], function(error) {
+                    
+                    if (!error) {
+                        openFrom(i + 1);
+                    } else if (error.code != 'LOAD_FAILED') {
+                        fail(error);
+                    } else if (typeof callback == 'function') {
+                        // (the loader has reported the failure already)
+                        callback(error);
+                    }
+                    
+                });
+                
+                return true;
+            }
+            
+        }
+        
+        if (!that.nodes[nodeId]) {
+            return fail(new TreeJSError('NODE_NOT_FOUND', 'Unable to open path. Node "' + nodeId + '" not found.', 'openPath', args));
+        }
+        
+        if (typeof callback == 'function') {
+            callback(null);
+        }
+        
+        return true;
+    };
+    
+    return openFrom(0);
+}
+
+/* ---------------------------------------------------- LAZY LOADING ---------------------------------------------------- */
+
+/**
+ * Loads children of a lazy folder through the template.loadChildren() hook.
+ * 
+ * The hook is called as template.loadChildren(nodeId, callback) and must either
+ * return a Promise or call the callback as callback(error, dataset). The dataset
+ * has the same format as the one accepted by .update(), e.g.:
+ * {'foo/bar': {name: 'bar'}, 'foo/baz/': {name: 'baz', __lazy: true}}
+ * 
+ * The loaded nodes are added with .addNode(). If loading fails, the folder is closed
+ * and the next .openBranch() (or .loadChildren()) call retries.
+ * 
+ * @param {String} nodeId A valid ID of a folder marked with "__lazy".
+ * @returns {Boolean} TRUE if loading has started (or is in progress) or the children have been loaded right away;
+ *    FALSE on failure.
+ */
+
+TreeModel.prototype.loadChildren = function(nodeId) {
+    
+    if (typeof this.template.loadChildren != 'function') {
+        this.onError(new TreeJSError('INVALID_TEMPLATE', 'Unable to load children. The template.loadChildren() hook is not defined.', 'loadChildren', arguments));
+        return false;
+    }
+    
+    if (!this.nodes[nodeId] || !this.nodes[nodeId].loadState) {
+        this.onError(new TreeJSError('NOT_A_LAZY_FOLDER', 'Unable to load children. Node "' + nodeId + '" is not a lazy folder.', 'loadChildren', arguments));
+        return false;
+    }
+    
+    // Do not start loading twice:
+    if (this.nodes[nodeId].loadState == 'loading') {
+        return true;
+    }
+    
+    // Each request gets a token, so that the outdated ones
+    // (e.g. when the folder has been removed in the meantime) are ignored:
+    var request = this.nodes[nodeId].loadRequest = {};
+    var isSettled = false;
+    var isRunning = true;
+    var settlement = null;
+    var that = this;
+    
+    var callback = function(error, dataset) {
+        
+        // The hook might both call the callback and resolve a Promise:
+        if (isSettled) {
+            return;
+        }
+        
+        isSettled = true;
+        
+        // Results given right away are applied once the hook has returned,
+        // so that failures to apply them aren't mistaken for failures of the hook:
+        if (isRunning) {
+            settlement = {error: error, dataset: dataset};
+            return;
+        }
+        
+        // Once the hook has returned, failures are reported to the subscribers only:
+        that.asyncDepth++;
+        
+        try {
+            that._onChildrenLoaded(nodeId, request, error, dataset);
+        } finally {
+            that.asyncDepth--;
+        }
+        
+    };
+    
+    var loadState = this.nodes[nodeId].loadState;
+    
+    this.nodes[nodeId].loadState = 'loading';
+    delete this.nodes[nodeId].loadError;
+    
+    // No loader is running if a subscriber fails, so the folder can be loaded once again:
+    if (!this._emit('loadStarted', nodeId)) {
+        this.nodes[nodeId].loadState = loadState;
+        delete this.nodes[nodeId].loadRequest;
+        return false;
+    }
+    
+    try {
+        
+        var result = this.template.loadChildren(nodeId, callback);
+        
+        // Promises (and other "thenables") are supported as well
+        // (settled out of the promise chain, so that errors thrown by subscribers
+        //  don't end up in unhandled rejections):
+        if (result && typeof result.then == 'function') {
+            result.then(function(dataset) {
+                setTimeout(function() {
+                    callback(null, dataset);
+                }, 0);
+            }, function(error) {
+                setTimeout(function() {
+                    callback(error || 'Loader rejected.');
+                }, 0);
+            });
+        }
+        
+    } catch(e) {
+        callback(e);
+    }
+    
+    isRunning = false;
+    
+    // Failures of the results given right away are reported (and thrown in strict mode) within this call:
+    if (settlement) {
+        return this._onChildrenLoaded(nodeId, request, settlement.error, settlement.dataset);
+    }
+    
+    return true;
+}
+
+/**
+ * Adds lazily loaded children to a folder or marks the folder as failed.
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of a lazy folder.
+ * @param {Object} request The request token given by .loadChildren().
+ * @param {Mixed} error An error reported by the loader (if any).
+ * @param {Object} dataset The loaded dataset.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeModel.prototype._onChildrenLoaded = function(nodeId, request, error, dataset) {
+    
+    var node = this.nodes[nodeId];
+    
+    // The folder might have been removed (or the model cleared) in the meantime:
+    if (!node || node.loadRequest !== request) {
+        return false;
+    }
+    
+    delete node.loadRequest;
+    
+    if (error || typeof dataset != 'object' || dataset == null) {
+        return this._failLoading(nodeId, error || 'Invalid dataset.', error);
+    }
+    
+    var isAdded = true;
+    var isBatched = false;
+    var addError = null;
+    var strayIds = [];
+    
+    node.loadState = 'loaded';
+    
+    // Loaded nodes are added through the normal path, all at once:
+    //  - Only descendants of the folder are accepted, others would end up elsewhere in the tree
+    //  - In strict mode a failure to add a node is thrown, the folder fails to load all the same
+    try {
+        isBatched = this.batch(function() {
+            for (var childId in dataset) {
+                
+                if (childId.length <= nodeId.length || childId.substr(0, nodeId.length) != nodeId) {
+                    strayIds.push(childId);
+                    continue;
+                }
+                
+                isAdded = this.addNode(childId, dataset[childId]) && isAdded;
+                
+            }
+        });
+    } catch(e) {
+        addError = e;
+    }
+    
+    var isLoaded = (isBatched && isAdded)
+        ?    this._emit('loadEnded', nodeId)
+        :    this._failLoading(nodeId, 'Failed to add the loaded children.', addError);
+    
+    if (isBatched && isAdded) {
+        this._settleWaiters(nodeId, null);
+    }
+    
+    // (reported once the folder is settled, since strict mode throws)
+    if (strayIds.length) {
+        this.onError(new TreeJSError('INVALID_DATASET', 'Loaded nodes outside of "' + nodeId + '" have been ignored: ' + strayIds.join(', '), 'loadChildren', [nodeId]));
+    }
+    
+    return isLoaded;
+}
+
+/**
+ * Marks a lazy folder as failed to load and closes it, so that opening it once again retries.
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of a lazy folder.
+ * @param {String} reason A description of the failure.
+ * @param {Mixed} [cause] An error reported by the loader (if any).
+ * @returns {Boolean} Always FALSE.
+ */
+
+TreeModel.prototype._failLoading = function(nodeId, reason, cause) {
+    
+    var error = new TreeJSError('LOAD_FAILED', 'Failed to load children of "' + nodeId + '". ' + reason, 'loadChildren', [nodeId], cause);
+    
+    this.nodes[nodeId].loadState = 'failed';
+    this.nodes[nodeId].loadError = error;
+    this.nodes[nodeId].isOpen = false;
+    
+    this._emit('branchClosed', nodeId);
+    this._emit('loadFailed', nodeId, cause || reason);
+    
+    // (waiters get the error before it is thrown in strict mode)
+    this._settleWaiters(nodeId, error);
+    
+    this.onError(error);
+    
+    return false;
+}
+
+/**
+ * Waits until children of a folder, which are being loaded, are loaded.
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of a folder which is being loaded.
+ * @param {Function} callback Called as callback(error) once the children have been added;
+ *    the error is a TreeJSError if loading has failed or has been canceled, or the folder has been removed.
+ * @returns {Void}
+ */
+
+TreeModel.prototype._whenLoaded = function(nodeId, callback) {
+    
+    if (!this.loadWaiters[nodeId]) {
+        this.loadWaiters[nodeId] = [];
+    }
+    
+    this.loadWaiters[nodeId].push(callback);
+    
+}
+
+/**
+ * Calls back everything waiting for a folder to load.
+ * 
+ * @private
+ * @param {String} nodeId An ID of the folder.
+ * @param {TreeJSError} error The reason why the children won't be loaded; Null once they have been added.
+ * @returns {Void}
+ */
+
+TreeModel.prototype._settleWaiters = function(nodeId, error) {
+    
+    var callbacks = this.loadWaiters[nodeId] || [];
+    
+    delete this.loadWaiters[nodeId];
+    
+    for (var i = 0; i < callbacks.length; i++) {
+        callbacks[i](error);
+    }
+    
+}
+
+/**
+ * Closes a branch.
+ * 
+ * Any open nodes within the closed node will remain open.
+ * The action can be vetoed by "beforeBranchClose" subscribers.
+ * 
+ * @param {String} nodeId A valid ID of a node to close.
+ * @returns {Boolean} TRUE on success; FALSE on failure or if vetoed.
+ */
+
+TreeModel.prototype.closeBranch = function(nodeId) {
+    
+    if (!this.isDir(nodeId)) {
+        this.onError(new TreeJSError('NOT_A_FOLDER', 'Unable to close branch. Target is a leaf node.', 'closeBranch', arguments));
+        return false;
+    }
+    
+    if (typeof this.nodes[nodeId] != 'object') {
+        return false;
+    }
+    
+    if (this._isPrevented('beforeBranchClose', {nodeId: nodeId})) {
+        return false;
+    }
+    
+    this.nodes[nodeId].isOpen = false;
+    
+    // A folder closed while the tree is filtered stays closed when the filter is cleared:
+    if (this.filterState) {
+        delete this.filterState.openedIds[nodeId];
+    }
+    
+    // (so do the folders within it which are still waiting to be opened)
+    this._dropPendingState('openIds', nodeId);
+    
+    return this._emit('branchClosed', nodeId);
+}
+
+/* ---------------------------------------------------- FILTERING ---------------------------------------------------- */
+
+/**
+ * Filters the tree, so that only matching nodes and their ancestors are visible.
+ * 
+ * Nodes match either a predicate, called as predicate(nodeId, row) for every node,
+ * or a query, which is looked up (case-insensitively) in the values of a column, e.g.
+ * .filter({column: 'name', query: 'report'})
+ * 
+ * Closed ancestors of matching nodes are opened until the filter is cleared. Nodes added, changed,
+ * moved or removed while the tree is filtered are matched as well. An empty query clears the filter.
+ * 
+ * @param {Function|Object|Null} criteria A predicate returning a Boolean, or {column, query};
+ *    the column is "name" if omitted. Null clears the filter.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeModel.prototype.filter = function(criteria) {
+    
+    if (criteria == null || (typeof criteria == 'object' && (criteria.query == null || criteria.query === ''))) {
+        return this.clearFilter();
+    }
+    
+    var query = null;
+    
+    if (typeof criteria == 'object') {
+        
+        var columnId = (typeof criteria.column == 'undefined') ? 'name' : criteria.column;
+        
+        if (!this.template.columns.hasOwnProperty(columnId)) {
+            this.onError(new TreeJSError('COLUMN_NOT_FOUND', 'Unable to filter. Column "' + columnId + '" not found.', 'filter', arguments));
+            return false;
+        }
+        
+        if (!(typeof criteria.query in {'string': 1, 'number': 1})) {
+            this.onError(new TreeJSError('INVALID_ARGUMENT', 'Unable to filter. The query must be a string or a number.', 'filter', arguments));
+            return false;
+        }
+        
+        criteria = {column: columnId, query: String(criteria.query)};
+        query = criteria.query.toLowerCase();
+        
+    } else if (typeof criteria != 'function') {
+        this.onError(new TreeJSError('INVALID_ARGUMENT', 'Unable to filter. Criteria must be a function or {column, query}.', 'filter', arguments));
+        return false;
+    }
+    
+    // Folders opened by the previous filter stay open until the filter is cleared:
+    this.filterState = {
+        criteria: criteria,
+        query: query,
+        matches: {},
+        matchCounts: {},
+        openedIds: this.filterState ? this.filterState.openedIds : {}
+    };
+    
+    for (var nodeId in this.nodes) {
+        if (this._evaluateFilter(nodeId)) {
+            this._setMatch(nodeId, true);
+        }
+    }
+    
+    // Subscribers get a chance to redraw the tree once, when the batch ends:
+    this.beginUpdate();
+    
+    for (var nodeId in this.filterState.matches) {
+        this._expandToMatch(nodeId);
+    }
+    
+    if (!this.endUpdate()) {
+        return false;
+    }
+    
+    return this._emit('filtered', criteria);
+}
+
+/**
+ * Clears the filter, so that all nodes are visible again.
+ * 
+ * Folders opened by the filter are closed, unless they have been closed and reopened in the meantime.
+ * 
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeModel.prototype.clearFilter = function() {
+    
+    if (!this.filterState) {
+        return true;
+    }
+    
+    var openedIds = this.filterState.openedIds;
+    
+    this.filterState = null;
+    
+    this.beginUpdate();
+    
+    for (var nodeId in openedIds) {
+        if (this.nodes[nodeId] && this.nodes[nodeId].isOpen) {
+            this.closeBranch(nodeId);
+        }
+    }
+    
+    if (!this.endUpdate()) {
+        return false;
+    }
+    
+    return this._emit('filtered', null);
+}
+
+/**
+ * Returns the criteria of the active filter.
+ * 
+ * @returns {Function|Object|Null} The predicate or {column, query}; Null if the tree isn't filtered.
+ */
+
+TreeModel.prototype.getFilter = function() {
+    
+    return this.filterState ? this.filterState.criteria : null;
+    
+}
+
+/**
+ * Checks if a node matches the active filter.
+ * 
+ * @param {String} nodeId A valid node ID.
+ * @returns {Boolean} TRUE if the node matches; FALSE otherwise (also if the tree isn't filtered).
+ */
+
+TreeModel.prototype.isMatch = function(nodeId) {
+    
+    return !!this.filterState && this.filterState.matches.hasOwnProperty(nodeId);
+    
+}
+
+/**
+ * Checks if the active filter hides a node, i.e. if neither the node nor any of its descendants match.
+ * 
+ * @param {String} nodeId A valid node ID.
+ * @returns {Boolean} TRUE if the node is hidden by the filter; FALSE otherwise (also if the tree isn't filtered).
+ */
+
+TreeModel.prototype.isFilteredOut = function(nodeId) {
+    
+    return !!this.filterState
+        && !this.filterState.matches.hasOwnProperty(nodeId)
+        && !this.filterState.matchCounts[nodeId];
+    
+}
+
+/**
+ * Checks a node against the active filter.
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of an existing node.
+ * @returns {Boolean} TRUE if the node matches; FALSE otherwise.
+ */
+
+TreeModel.prototype._evaluateFilter = function(nodeId) {
+    
+    var criteria = this.filterState.criteria;
+    
+    if (typeof criteria == 'function') {
+        return !!criteria.call(this, nodeId, this.data[nodeId]);
+    }
+    
+    var cellValue = this.getCellValue(nodeId, criteria.column);
+    
+    return cellValue != null && String(cellValue).toLowerCase().indexOf(this.filterState.query) != -1;
+}
+
+/**
+ * Marks a node as matching (or not matching) the active filter and counts it in for its ancestors.
+ * 
+ * @private
+ * @param {String} nodeId A valid node ID.
+ * @param {Boolean} isMatch Whether the node matches.
+ * @returns {Void}
+ */
+
+TreeModel.prototype._setMatch = function(nodeId, isMatch) {
+    
+    var state = this.filterState;
+    
+    if (isMatch == state.matches.hasOwnProperty(nodeId)) {
+        return;
+    }
+    
+    if (isMatch) {
+        state.matches[nodeId] = true;
+    } else {
+        delete state.matches[nodeId];
+    }
+    
+    for (var parentId = this.getParentIdOf(nodeId); parentId; parentId = this.getParentIdOf(parentId)) {
+        
+        state.matchCounts[parentId] = (state.matchCounts[parentId] || 0) + (isMatch ? 1 : -1);
+        
+        if (!state.matchCounts[parentId]) {
+            delete state.matchCounts[parentId];
+        }
+        
+    }
+    
+}
+
+/**
+ * Opens closed ancestors of a matching node (outermost first) and remembers them,
+ * so that they are closed again when the filter is cleared.
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of a matching node.
+ * @returns {Void}
+ */
+
+TreeModel.prototype._expandToMatch = function(nodeId) {
+    
+    var ancestors = [];
+    
+    for (var parentId = this.getParentIdOf(nodeId); parentId; parentId = this.getParentIdOf(parentId)) {
+        ancestors.unshift(parentId);
+    }
+    
+    for (var i = 0; i < ancestors.length; i++) {
+        
+        if (this.nodes[ancestors[i]].isOpen) {
+            continue;
+        }
+        
+        // Folders kept closed by "beforeBranchOpen" subscribers keep the match hidden:
+        if (!this.openBranch(ancestors[i]) && !this.nodes[ancestors[i]].isOpen) {
+            return;
+        }
+        
+        this.filterState.openedIds[ancestors[i]] = true;
+        
+    }
+    
+}
+
+/* ---------------------------------------------------- SORTING ---------------------------------------------------- */
+
+/**
+ * Re-sorts children of every folder in accordance with the current sort settings.
+ * 
+ * @returns {Boolean} TRUE on successful update; FALSE otherwise.
+ */
+
+TreeModel.prototype.updateNodeSequence = function() {
+    
+    var comparator = this._nodeComparator();
+    
+    this.rootNodes.sort(comparator);
+    
+    for (var nodeId in this.nodes) {
+        if (this.isDir(nodeId)) {
+            this.nodes[nodeId].children.sort(comparator);
+        }
+    }
+    
+    this.staleFolders = {};
+    
+    return true;
+}
+
+/**
+ * Returns the whole sequence of nodes, where parents precede their children.
+ * 
+ * @returns {Array} Sequence of nodes as follows: [nodeId1, nodeId2, ...]
+ */
+
+TreeModel.prototype.getNodeSequence = function() {
+    
+    return this._appendSubtree('', []);
+    
+}
+
+/**
+ * Returns the sequence of visible nodes, i.e. nodes which aren't hidden within collapsed folders
+ * (nor by the active filter).
+ * 
+ * @returns {Array} Sequence of visible nodes as follows: [nodeId1, nodeId2, ...]
+ */
+
+TreeModel.prototype.getVisibleSequence = function() {
+    
+    return this._appendSubtree('', [], true);
+    
+}
+
+/**
+ * Returns the sequence of all descendants of a folder.
+ * 
+ * @param {String} nodeId A valid ID of a folder ("" for the root level).
+ * @returns {Array} Sequence of descendant nodes; empty for leaves.
+ */
+
+TreeModel.prototype.getDescendantsOf = function(nodeId) {
+    
+    return this._appendSubtree(nodeId, []);
+    
+}
+
+/**
+ * Returns a sorted list of children of a folder.
+ * 
+ * @param {String} nodeId A valid ID of a folder ("" for the root level).
+ * @returns {Array|Boolean} A list of children IDs (do not modify it); FALSE if the node isn't an existing folder.
+ */
+
+TreeModel.prototype.getChildrenOf = function(nodeId) {
+    
+    if (nodeId != '' && (!this.isDir(nodeId) || !this.nodes[nodeId])) {
+        this.onError(new TreeJSError('NODE_NOT_FOUND', 'Unable to get children. Node "' + nodeId + '" is not an existing folder.', 'getChildrenOf', arguments));
+        return false;
+    }
+    
+    return this._getChildList(nodeId);
+}
+
+/**
+ * Finds the node which follows a node and all of its descendants in the node sequence.
+ * 
+ * @param {String} nodeId A valid ID of a node.
+ * @returns {String|Null} The ID of the following node; Null if the node is the last one.
+ */
+
+TreeModel.prototype.getNodeAfter = function(nodeId) {
+    
+    // Walk up the hierarchy until a node has a next sibling:
+    for (var id = nodeId; id; id = this.getParentIdOf(id)) {
+        
+        var siblings = this._getChildList(this.getParentIdOf(id));
+        var position = this._indexOfChild(siblings, id);
+        
+        if (position != -1 && position + 1 < siblings.length) {
+            return siblings[position + 1];
+        }
+        
+    }
+    
+    return null;
+}
+
+/**
+ * Appends all descendants of a folder to a sequence (recursive).
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of a node ("" for the root level).
+ * @param {Array} sequence A sequence to append to.
+ * @param {Boolean} [visibleOnly] If set to True - children of collapsed folders are skipped.
+ * @returns {Array} The sequence.
+ */
+
+TreeModel.prototype._appendSubtree = function(nodeId, sequence, visibleOnly) {
+    
+    var children = (nodeId == '' || this.isDir(nodeId)) ? this._getChildList(nodeId) : [];
+    
+    for (var i = 0; i < children.length; i++) {
+        
+        // Nodes kept out by the active filter have no matching descendants either:
+        if (visibleOnly && this.isFilteredOut(children[i])) {
+            continue;
+        }
+        
+        sequence.push(children[i]);
+        
+        if (this.isDir(children[i]) && (!visibleOnly || this.nodes[children[i]].isOpen)) {
+            this._appendSubtree(children[i], sequence, visibleOnly);
+        }
+        
+    }
+    
+    return sequence;
+}
+
+/**
+ * Returns the (modifiable) list of children of a folder.
+ * 
+ * @private
+ * @param {String} parentId A valid ID of a folder ("" for the root level).
+ * @returns {Array} A list of children IDs.
+ */
+
+TreeModel.prototype._getChildList = function(parentId) {
+    
+    return (parentId == '')
+        ?    this.rootNodes
+        :    (this.nodes[parentId] && this.nodes[parentId].children) || [];
+    
+}
+
+/**
+ * Inserts a node into the sorted list of children of its parent.
+ * 
+ * The position is found with a binary search among the siblings.
+ * Within a batch, the node is appended and its parent is sorted when the batch ends.
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of a node to insert.
+ * @returns {Void}
+ */
+
+TreeModel.prototype._insertChild = function(nodeId) {
+    
+    var parentId = this.getParentIdOf(nodeId);
+    var siblings = this._getChildList(parentId);
+    
+    if (this.isUpdating()) {
+        siblings.push(nodeId);
+        this.staleFolders[parentId] = true;
+        return;
+    }
+    
+    var comparator = this._nodeComparator();
+    var low = 0;
+    var high = siblings.length;
+    
+    // Find the first sibling that must follow the node:
+    while (low < high) {
+        
+        var middle = (low + high) >> 1;
+        
+        if (comparator(siblings[middle], nodeId) > 0) {
+            high = middle;
+        } else {
+            low = middle + 1;
+        }
+        
+    }
+    
+    siblings.splice(low, 0, nodeId);
+}
+
+/**
+ * Removes a node from the list of children of its parent.
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of a node to remove.
+ * @returns {Void}
+ */
+
+TreeModel.prototype._removeChild = function(nodeId) {
+    
+    var siblings = this._getChildList(this.getParentIdOf(nodeId));
+    var position = this._indexOfChild(siblings, nodeId);
+    
+    if (position != -1) {
+        siblings.splice(position, 1);
+    }
+    
+}
+
+/**
+ * Finds a position of a node among its siblings.
+ * 
+ * @private
+ * @param {Array} siblings A list of children of the node's parent.
+ * @param {String} nodeId A valid ID of a node to find.
+ * @returns {Integer} The position of the node; -1 if not found.
+ */
+
+TreeModel.prototype._indexOfChild = function(siblings, nodeId) {
+    
+    // Siblings are unsorted within a batch, so only a linear search would do:
+    if (this.staleFolders[this.getParentIdOf(nodeId)]) {
+        
+        for (var i = 0; i < siblings.length; i++) {
+            if (siblings[i] == nodeId) return i;
+        }
+        
+        return -1;
+    }
+    
+    var comparator = this._nodeComparator();
+    var low = 0;
+    var high = siblings.length;
+    
+    // Find the first sibling that doesn't precede the node:
+    while (low < high) {
+        
+        var middle = (low + high) >> 1;
+        
+        if (comparator(siblings[middle], nodeId) < 0) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+        
+    }
+    
+    return (siblings[low] == nodeId) ? low : -1;
+}
+
+/**
+ * Creates a function which compares two sibling nodes in accordance with the current sort settings.
+ * 
+ * - Folders always precede leaves;
+ * - Nodes are ordered by the values (see .getCellValue()) of the first key of the sort spec, ties are broken by the next key, etc.;
+ * - Empty values go last (or first, if the column has empty: "first") in both sort orders;
+ * - Values are compared by the compare(a, b, rowA, rowB) function of the column, if any,
+ *   or as their column type defines (see TreeModel.columnTypes) and ._compareValues();
+ * - Nodes with equal values of all keys are ordered by their IDs, so the order is always the same
+ *   (i.e. the sort is stable regardless of the sort algorithm of the browser).
+ * 
+ * @private
+ * @returns {Function} A comparator returning -1 or 0 or 1
+ */
+
+TreeModel.prototype._nodeComparator = function() {
+    
+    var that = this;
+    var keys = [];
+    
+    // Everything that doesn't depend on the nodes is figured out once:
+    for (var i = 0; i < this.template.sortSpec.length; i++) {
+        
+        var column = this.template.columns[this.template.sortSpec[i].column] || {};
+        
+        keys.push({
+            columnId: this.template.sortSpec[i].column,
+            columnType: TreeModel.columnTypes[column.type],
+            compare: (typeof column.compare == 'function') ? column.compare : null,
+            emptyFirst: (column.empty == 'first'),
+            reverse: (this.template.sortSpec[i].order == 'desc') ? -1 : 1
+        });
+        
+    }
+    
+    return function(a, b) {
+        
+        var aIsDir = that.isDir(a);
+        
+        if (aIsDir != that.isDir(b)) {
+            return aIsDir ? -1 : 1;
+        }
+        
+        for (var i = 0; i < keys.length; i++) {
+            
+            // (folders are compared by their aggregates, if any)
+            var x = that.getCellValue(a, keys[i].columnId);
+            var y = that.getCellValue(b, keys[i].columnId);
+            var rawX = x;
+            var rawY = y;
+            
+            // Typed values are compared by their sort keys (Null for empty and unparsable values):
+            if (keys[i].columnType) {
+                x = keys[i].columnType.toSortKey(x);
+                y = keys[i].columnType.toSortKey(y);
+            }
+            
+            var xIsEmpty = (x == null || x === '');
+            var yIsEmpty = (y == null || y === '');
+            
+            // Empty values aren't affected by the sort order;
+            // the rest is compared by the compare(a, b, rowA, rowB) function of the column, if any:
+            var result = (xIsEmpty || yIsEmpty)
+                ?    ((xIsEmpty == yIsEmpty) ? 0 : ((xIsEmpty == keys[i].emptyFirst) ? -1 : 1))
+                :    keys[i].reverse * (keys[i].compare
+                    ?    TreeModel._sign(keys[i].compare(rawX, rawY, that.data[a], that.data[b]))
+                    :    that._compareValues(x, y));
+            
+            if (result) {
+                return result;
+            }
+            
+        }
+        
+        return (a < b) ? -1 : (a > b) ? 1 : 0;
+    }
+}
+
+/**
+ * Compares two cell values of an untyped column (or sort keys of a typed one).
+ * 
+ * - Empty values (null, undefined, empty string) precede the rest;
+ * - Numbers are compared numerically and precede strings;
+ * - Strings are compared naturally, i.e. runs of digits as numbers ("Item2" precedes "Item10"),
+ *   in accordance with the locale and sensitivity of the template.
+ * 
+ * @private
+ * @param {Mixed} x A value to compare.
+ * @param {Mixed} y A value to compare.
+ * @returns {Integer} -1 or 0 or 1
+ */
+
+TreeModel.prototype._compareValues = function(x, y) {
+    
+    var xIsEmpty = (x == null || x === '');
+    var yIsEmpty = (y == null || y === '');
+    
+    if (xIsEmpty || yIsEmpty) {
+        return (xIsEmpty && yIsEmpty) ? 0 : (xIsEmpty ? -1 : 1);
+    }
+    
+    if (typeof x != typeof y) {
+        return (typeof x == 'number') ? -1 : 1;
+    }
+    
+    if (typeof x == 'string') {
+        
+        var result = this.collator
+            ?    this.collator.compare(x, y)
+            :    TreeModel._naturalCompare(x, y, this.template.sensitivity);
+        
+        return (result < 0) ? -1 : (result > 0) ? 1 : 0;
+    }
+    
+    return (x < y) ? -1 : (x > y) ? 1 : 0;
+}
+
+/**
+ * Creates a collator for natural string ordering in accordance with the template
+ * (an invalid locale is replaced by the default one).
+ * 
+ * @private
+ * @returns {Object|Null} An Intl.Collator; Null if Intl.Collator isn't available.
+ */
+
+TreeModel.prototype._createCollator = function() {
+    
+    if (typeof Intl != 'object' || !Intl || typeof Intl.Collator != 'function') {
+        return null;
+    }
+    
+    var options = {numeric: true, sensitivity: this.template.sensitivity};
+    
+    try {
+        return new Intl.Collator(this.template.locale, options);
+    } catch(e) {
+        return new Intl.Collator(undefined, options);
+    }
+}
+
+/**
+ * Toggles tree node order by a specified column.
+ * 
+ * This property figures out the new sort spec and invokes the .sortBy() property.
+ * 
+ * @param {String} columnId A valid ID of a column (as in tree template).
+ * @param {Boolean} [addKey] If set to True - the column is added to the sort spec as the last key
+ *    (or its order is toggled if it's already there) instead of replacing the spec.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeModel.prototype.toggleSortBy = function(columnId, addKey) {
+    
+    // Column ID argument must be a valid string and must exist in tree template:
+    if (typeof columnId != 'string' || !this.template.columns[columnId]) {
+        this.onError(new TreeJSError('COLUMN_NOT_FOUND', 'Unable to reorder table. Column ID is invalid or doesn\'t exist in template.', 'toggleSortBy', arguments));
+        return false;
+    }
+    
+    var sortSpec = this.getSortSpec();
+    var position = -1;
+    
+    for (var i = 0; i < sortSpec.length; i++) {
+        if (sortSpec[i].column == columnId) {
+            position = i;
+        }
+    }
+    
+    // A key which is already there has its order toggled, a new one is ascending:
+    if (addKey) {
+        
+        if (position == -1) {
+            sortSpec.push({column: columnId, order: 'asc'});
+        } else {
+            sortSpec[position].order = (sortSpec[position].order == 'asc') ? 'desc' : 'asc';
+        }
+        
+        return this.sortBy(sortSpec);
+    }
+    
+    // Figure out if caller wants to sort by the same or by another column:
+    //  - the same column toggles the sorting type (order)
+    //  - another column maintains the sorting type (order)
+    var newSortOrder = (position == 0)
+        ?    ((this.template.sortOrder.toLowerCase() == 'asc') ? 'desc' : 'asc')
+        :    this.template.sortOrder;
+    
+    return this.sortBy(columnId, newSortOrder);
+}
+
+/**
+ * Returns the current sort spec.
+ * 
+ * @returns {Array} Sort keys in order of priority (a copy): [{column: String, order: "asc" or "desc"}, ...]
+ */
+
+TreeModel.prototype.getSortSpec = function() {
+    
+    var sortSpec = [];
+    
+    for (var i = 0; i < this.template.sortSpec.length; i++) {
+        sortSpec.push({column: this.template.sortSpec[i].column, order: this.template.sortSpec[i].order});
+    }
+    
+    return sortSpec;
+}
+
+/**
+ * Checks if a column is one of the sort keys, i.e. if a change of its value might reposition the node.
+ * 
+ * @param {String} columnId An ID of a column.
+ * @returns {Boolean} TRUE if the column is in the sort spec; FALSE otherwise.
+ */
+
+TreeModel.prototype.isSortColumn = function(columnId) {
+    
+    for (var i = 0; i < this.template.sortSpec.length; i++) {
+        if (this.template.sortSpec[i].column == columnId) {
+            return true;
+        }
+    }
+    
+    return false;
+}
+
+/**
+ * Checks a sort spec and normalizes the sort orders (a missing order is "asc").
+ * 
+ * @private
+ * @param {Array} sortSpec A list of sort keys: [{column: String, order: "asc" or "desc"}, ...]
+ * @returns {Array|Null} A normalized copy of the spec; Null if it's not a non-empty list
+ *    of distinct columns with valid orders.
+ */
+
+TreeModel.prototype._normalizeSortSpec = function(sortSpec) {
+    
+    if (Object.prototype.toString.call(sortSpec) != '[object Array]' || !sortSpec.length) {
+        return null;
+    }
+    
+    var normalized = [];
+    var columns = {};
+    
+    for (var i = 0; i < sortSpec.length; i++) {
+        
+        var key = sortSpec[i];
+        
+        if (typeof key != 'object' || key == null || typeof key.column != 'string' || columns[key.column]) {
+            return null;
+        }
+        
+        var order = (key.order === undefined) ? 'asc' : key.order;
+        
+        if (typeof order != 'string' || !(order.toLowerCase() in {'asc': 1, 'desc': 1})) {
+            return null;
+        }
+        
+        columns[key.column] = true;
+        normalized.push({column: key.column, order: order.toLowerCase()});
+        
+    }
+    
+    return normalized;
+}
+
+/**
+ * Reorders tree by new column and sort order parameters, or by a sort spec with several keys, e.g.
+ * .sortBy([{column: 'status', order: 'asc'}, {column: 'first', order: 'desc'}])
+ * 
+ * The action can be vetoed by "beforeSort" subscribers.
+ * 
+ * @param {String|Array} sortColumn A valid ID of a column (as in tree template),
+ *    or a sort spec: a list of {column, order} in order of priority.
+ * @param {String} [sortOrder] Sorting order ("asc" or "desc"); ignored with a sort spec.
+ * @return {Boolean} TRUE on success; FALSE on failure or if vetoed.
+ */
+
+TreeModel.prototype.sortBy = function(sortColumn, sortOrder) {
+    
+    if (Object.prototype.toString.call(sortColumn) == '[object Array]') {
+        return this._sortBySpec(sortColumn, arguments);
+    }
+    
+    // Mandatory sortColumn argument must be string and must exist in the current tree template:
+    if (typeof sortColumn != 'string' || !this.template.columns[sortColumn]) {
+        this.onError(new TreeJSError('COLUMN_NOT_FOUND', 'Unable to sort. Column ID argument (sortColumn) is missing, invalid or is not found in the template.', 'sortBy', arguments));
+        return false;
+    }
+    
+    // The sortOrder argument is optional,
+    // so if not provided - we use the current sortOrder instead:
+    var sortOrder = (typeof sortOrder == 'string')
+        ?    sortOrder
+        :    this.template.sortOrder;
+    
+    // Optional sortOrder argument must be string and must evaluate to "asc" or "desc" (case-insensitive):
+    // (this also serves as a double-check for template.sortOrder as there are no private properties in JS)
+    if (!(sortOrder.toLowerCase() in {'asc': 1, 'desc': 1})) {
+        this.onError(new TreeJSError('INVALID_SORT_ORDER', 'Unable to sort. Sort order argument (sortOrder) must be "asc" or "desc".', 'sortBy', arguments));
+        return false;
+    }
+    
+    return this._sortBySpec([{column: sortColumn, order: sortOrder}], arguments);
+}
+
+/**
+ * Reorders tree by a sort spec.
+ * 
+ * @private
+ * @param {Array} sortSpec A list of {column, order} in order of priority.
+ * @param {Arguments} args Arguments of the public method (for error reports).
+ * @return {Boolean} TRUE on success; FALSE on failure or if vetoed.
+ */
+
+TreeModel.prototype._sortBySpec = function(sortSpec, args) {
+    
+    var normalized = this._normalizeSortSpec(sortSpec);
+    
+    if (!normalized) {
+        this.onError(new TreeJSError('INVALID_ARGUMENT', 'Unable to sort. Sort spec must be a non-empty list of {column, order} with distinct columns.', 'sortBy', args));
+        return false;
+    }
+    
+    for (var i = 0; i < normalized.length; i++) {
+        if (!this.template.columns[normalized[i].column]) {
+            this.onError(new TreeJSError('COLUMN_NOT_FOUND', 'Unable to sort. Column "' + normalized[i].column + '" is not found in the template.', 'sortBy', args));
+            return false;
+        }
+    }
+    
+    var sortColumn = normalized[0].column;
+    var sortOrder = normalized[0].order;
+    
+    if (this._isPrevented('beforeSort', {columnId: sortColumn, sortOrder: sortOrder, sortSpec: this._normalizeSortSpec(normalized)})) {
+        return false;
+    }
+    
+    this.template.sortSpec = normalized;
+    this.template.sortColumn = sortColumn;
+    this.template.sortOrder = sortOrder;
+    
+    // Attempt to update node sequence according to new sorting rules:
+    if (!this.updateNodeSequence()) {
+        this.onError(new TreeJSError('OPERATION_FAILED', 'Unable to sort. Failure in node sequence updater.', 'sortBy', args));
+        return false;
+    }
+    
+    return this._emit('sorted', sortColumn, sortOrder, this.getSortSpec());
+}
+
+/* ---------------------------------------------------- AGGREGATES ---------------------------------------------------- */
+
+/**
+ * Updates aggregates of the ancestors of a node, nearest first
+ * (or marks them for recomputation if a batch is in progress).
+ * 
+ * The figures of the node are subtracted from (or added to) the figures of every ancestor;
+ * only the minimums and maximums of removed values, as well as custom aggregates,
+ * require the children of an ancestor to be examined once again.
+ * 
+ * @private
+ * @param {String} nodeId An ID of an added, changed, moved or removed node.
+ * @param {Object|Null} removed Figures which the node no longer contributes, keyed by column ID (see ._figuresOf()).
+ * @param {Object|Null} added Figures which the node contributes from now on, keyed by column ID.
+ * @returns {Void}
+ */
+
+TreeModel.prototype._updateAggregates = function(nodeId, removed, added) {
+    
+    if (!this.aggregateColumns.length) {
+        return;
+    }
+    
+    var folderId = this.getParentIdOf(nodeId);
+    
+    if (this.isUpdating()) {
+        
+        // Ancestors of a marked folder are marked as well:
+        while (folderId != '' && !this.staleAggregates[folderId]) {
+            this.staleAggregates[folderId] = true;
+            folderId = this.getParentIdOf(folderId);
+        }
+        
+        return;
+    }
+    
+    removed = removed || {};
+    added = added || {};
+    
+    // Ancestors of a folder whose figures haven't changed don't change either:
+    while (folderId != '') {
+        
+        var aggregates = {};
+        
+        for (var columnId in this.aggregates[folderId]) {
+            aggregates[columnId] = (removed[columnId] || added[columnId])
+                ?    this._adjustFigures(folderId, columnId, removed[columnId], added[columnId])
+                :    this.aggregates[folderId][columnId];
+        }
+        
+        if (!this._setAggregates(folderId, aggregates)) {
+            break;
+        }
+        
+        folderId = this.getParentIdOf(folderId);
+    }
+    
+}
+
+/**
+ * Recomputes aggregates of the folders marked within the batch, the deepest ones first.
+ * 
+ * @private
+ * @returns {Void}
+ */
+
+TreeModel.prototype._refreshStaleAggregates = function() {
+    
+    var folders = [];
+    
+    for (var folderId in this.staleAggregates) {
+        // Stale folders might have been removed within the batch:
+        if (this.nodes[folderId]) {
+            folders.push(folderId);
+        }
+    }
+    
+    this.staleAggregates = {};
+    
+    var that = this;
+    
+    folders.sort(function(a, b) {
+        return that.getDepthOf(b) - that.getDepthOf(a);
+    });
+    
+    for (var i = 0; i < folders.length; i++) {
+        this._setAggregates(folders[i], this._computeAggregates(folders[i]));
+    }
+    
+}
+
+/**
+ * Replaces aggregates of a folder.
+ * 
+ * The "cellChanged" subscribers are notified of every changed value, and the folder
+ * is repositioned among its siblings if the tree is sorted by a changed value.
+ * 
+ * @private
+ * @param {String} folderId A valid ID of a folder.
+ * @param {Object} aggregates New figures keyed by column ID.
+ * @returns {Boolean} TRUE if any of the figures has changed; FALSE otherwise.
+ */
+
+TreeModel.prototype._setAggregates = function(folderId, aggregates) {
+    
+    var oldAggregates = this.aggregates[folderId];
+    var changedColumns = [];
+    var isChanged = false;
+    var isSortValue = false;
+    
+    for (var columnId in aggregates) {
+        
+        var oldFigures = oldAggregates[columnId];
+        var newFigures = aggregates[columnId];
+        
+        for (var figure in newFigures) {
+            if (newFigures[figure] !== oldFigures[figure]) {
+                isChanged = true;
+            }
+        }
+        
+        if (newFigures.value !== oldFigures.value) {
+            changedColumns.push(columnId);
+            isSortValue = isSortValue || this.isSortColumn(columnId);
+        }
+        
+    }
+    
+    // The folder must be found (by its old values) before the values change:
+    if (isSortValue) {
+        this._removeChild(folderId);
+    }
+    
+    this.aggregates[folderId] = aggregates;
+    
+    if (isSortValue) {
+        this._insertChild(folderId);
+    }
+    
+    // The folder might start or stop matching the active filter:
+    var wasMatch = this.isMatch(folderId);
+    
+    if (this.filterState && changedColumns.length) {
+        this._setMatch(folderId, this._evaluateFilter(folderId));
+    }
+    
+    for (var i = 0; i < changedColumns.length; i++) {
+        this._emit('cellChanged', folderId, changedColumns[i], aggregates[changedColumns[i]].value);
+    }
+    
+    if (!wasMatch && this.isMatch(folderId)) {
+        this._expandToMatch(folderId);
+    }
+    
+    return isChanged;
+}
+
+/**
+ * Computes figures of a folder for one column from its current figures and the figures of a changed child.
+ * 
+ * @private
+ * @param {String} folderId A valid ID of a folder.
+ * @param {String} columnId A valid ID of a column with an aggregate.
+ * @param {Object} [removed] Figures which the child no longer contributes.
+ * @param {Object} [added] Figures which the child contributes from now on.
+ * @returns {Object} New figures of the folder.
+ */
+
+TreeModel.prototype._adjustFigures = function(folderId, columnId, removed, added) {
+    
+    var column = this.template.columns[columnId];
+    var oldFigures = this.aggregates[folderId][columnId];
+    
+    // The next minimum (or maximum) can only be found among the children,
+    // and custom aggregates always get all of their values:
+    if (typeof column.aggregate == 'function'
+        || (removed && removed.count && (removed.min === oldFigures.min || removed.max === oldFigures.max))) {
+        return this._computeFigures(folderId, columnId);
+    }
+    
+    var figures = {
+        value: null,
+        sum: oldFigures.sum,
+        count: oldFigures.count,
+        leaves: oldFigures.leaves,
+        min: oldFigures.min,
+        max: oldFigures.max
+    };
+    
+    if (removed) {
+        figures.sum -= removed.sum;
+        figures.count -= removed.count;
+        figures.leaves -= removed.leaves;
+    }
+    
+    if (added) {
+        
+        figures.sum += added.sum;
+        figures.count += added.count;
+        figures.leaves += added.leaves;
+        
+        if (added.count) {
+            figures.min = (figures.min === null) ? added.min : Math.min(figures.min, added.min);
+            figures.max = (figures.max === null) ? added.max : Math.max(figures.max, added.max);
+        }
+        
+    }
+    
+    // No rounding errors are left behind when the last value goes away:
+    if (!figures.count) {
+        figures.sum = 0;
+    }
+    
+    figures.value = TreeModel.aggregateTypes[column.aggregate](figures);
+    
+    return figures;
+}
+
+/**
+ * Computes all aggregates of a folder from its children.
+ * 
+ * @private
+ * @param {String} folderId A valid ID of a folder.
+ * @returns {Object} Figures keyed by column ID (see ._computeFigures()).
+ */
+
+TreeModel.prototype._computeAggregates = function(folderId) {
+    
+    var aggregates = {};
+    
+    for (var i = 0; i < this.aggregateColumns.length; i++) {
+        aggregates[this.aggregateColumns[i]] = this._computeFigures(folderId, this.aggregateColumns[i]);
+    }
+    
+    return aggregates;
+}
+
+/**
+ * Computes figures of a folder for one column from the figures of its children
+ * (i.e. from the values of its leaves and the aggregates of its subfolders).
+ * 
+ * Figures are {value, sum, count, leaves, min, max}, where the sum, the count, the minimum and the maximum
+ * are those of the numeric values of the descendant leaves, and "leaves" is a number of those leaves.
+ * Custom aggregates get the non-empty values of the children as they are.
+ * 
+ * @private
+ * @param {String} folderId A valid ID of a folder.
+ * @param {String} columnId A valid ID of a column with an aggregate.
+ * @returns {Object} Figures of the folder.
+ */
+
+TreeModel.prototype._computeFigures = function(folderId, columnId) {
+    
+    var children = this.nodes[folderId].children;
+    var aggregate = this.template.columns[columnId].aggregate;
+    var figures = {value: null, sum: 0, count: 0, leaves: 0, min: null, max: null};
+    var values = [];
+    
+    for (var i = 0; i < children.length; i++) {
+        
+        var part = this.isDir(children[i])
+            ?    this.aggregates[children[i]][columnId]
+            :    this._figuresOf(children[i], columnId);
+        
+        figures.sum += part.sum;
+        figures.count += part.count;
+        figures.leaves += part.leaves;
+        
+        if (part.count) {
+            figures.min = (figures.min === null) ? part.min : Math.min(figures.min, part.min);
+            figures.max = (figures.max === null) ? part.max : Math.max(figures.max, part.max);
+        }
+        
+        if (part.value != null && part.value !== '') {
+            values.push(part.value);
+        }
+        
+    }
+    
+    var value = (typeof aggregate == 'function')
+        ?    aggregate.call(this, values, folderId)
+        :    TreeModel.aggregateTypes[aggregate](figures);
+    
+    figures.value = (typeof value == 'undefined') ? null : value;
+    
+    return figures;
+}
+
+/**
+ * Returns figures which a node contributes to aggregates of its ancestors.
+ * 
+ * A leaf contributes its value, which is taken as a number in accordance with the column type
+ * (e.g. dates as timestamps, booleans as 0 and 1; untyped values as they are); a folder contributes its aggregates.
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of a node.
+ * @param {String} [columnId] A valid ID of a column with an aggregate.
+ * @returns {Object|Null} Figures of the column; if no column is given - figures of all aggregated columns
+ *    keyed by column ID (Null if there are no such columns).
+ */
+
+TreeModel.prototype._figuresOf = function(nodeId, columnId) {
+    
+    if (typeof columnId == 'undefined') {
+        
+        if (!this.aggregateColumns.length) {
+            return null;
+        }
+        
+        if (this.isDir(nodeId)) {
+            return this.aggregates[nodeId];
+        }
+        
+        var figures = {};
+        
+        for (var i = 0; i < this.aggregateColumns.length; i++) {
+            figures[this.aggregateColumns[i]] = this._figuresOf(nodeId, this.aggregateColumns[i]);
+        }
+        
+        return figures;
+    }
+    
+    if (this.isDir(nodeId)) {
+        return this.aggregates[nodeId][columnId];
+    }
+    
+    var value = this.data[nodeId][columnId];
+    var columnType = TreeModel.columnTypes[this.template.columns[columnId].type];
+    var number = columnType ? columnType.toSortKey(value) : TreeModel._toNumber(value);
+    
+    if (typeof number != 'number') {
+        number = null;
+    }
+    
+    return {
+        value: value,
+        sum: (number === null) ? 0 : number,
+        count: (number === null) ? 0 : 1,
+        leaves: 1,
+        min: number,
+        max: number
+    };
+}
+
+/* ---------------------------------------------------- SELECTION ---------------------------------------------------- */
+
+/**
+ * Modifies current list of selected nodes and notifies "selectionChanged" subscribers.
+ * 
+ * The action can be vetoed by "beforeSelectionChange" subscribers.
+ * The other selection methods (e.g. .selectAll()) are shorthands of this one.
+ * 
+ * @param {String} action One of: "add", "remove", "single", "all", "none", "range".
+ * @param {String} nodeId_firstInRange A valid ID of a first node in selection range.
+ * @param {String} [nodeId_lastInRange] A valid ID of a last node in selection range.
+ * @returns {Boolean} TRUE on success; FALSE on failure or if vetoed.
+ */
+
+TreeModel.prototype.changeSelection = function(action, nodeId_firstInRange, nodeId_lastInRange) {
+    
+    var event = {
+        action: action,
+        nodeId: nodeId_firstInRange || null,
+        lastNodeId: nodeId_lastInRange || null
+    };
+    
+    if (this._isPrevented('beforeSelectionChange', event)) {
+        return false;
+    }
+    
+    switch (action) {
+        
+        case 'add' :
+            var success = this._addToSelection(nodeId_firstInRange || null);
+            break;
+        
+        case 'remove' :
+            var success = this._removeFromSelection(nodeId_firstInRange || null);
+            break;
+        
+        case 'single' :
+            var success = this._selectSingle(nodeId_firstInRange || null);
+            break;
+        
+        case 'all' :
+            var success = this._selectAll();
+            break;
+        
+        case 'none' :
+            var success = this._selectNone();
+            break;
+        
+        case 'range' :
+            var success = this._selectRange(nodeId_firstInRange || null, nodeId_lastInRange || null);
+            break;
+        
+    }
+    
+    if (!success) {
+        return false;
+    }
+    
+    // A selection of the user's own replaces the one still waiting for its nodes:
+    this._dropPendingState('selection', '');
+    
+    this._emit('selectionChanged', this.selection);
+    
+    return true;
+}
+
+/**
+ * Adds node to selection (see .changeSelection()).
+ * 
+ * @param {String} nodeId A valid ID of a node to add to selection.
+ * @returns {Boolean} TRUE on success; FALSE on failure or if vetoed.
+ */
+
+TreeModel.prototype.addToSelection = function(nodeId) {
+    
+    return this.changeSelection('add', nodeId);
+    
+}
+
+/**
+ * Removes node from selection (see .changeSelection()).
+ * 
+ * @param {String} nodeId A valid ID of a node to remove from selection.
+ * @returns {Boolean} TRUE on success; FALSE on failure or if vetoed.
+ */
+
+TreeModel.prototype.removeFromSelection = function(nodeId) {
+    
+    return this.changeSelection('remove', nodeId);
+    
+}
+
+/**
+ * Selects a single node and deselects the rest (see .changeSelection()).
+ * 
+ * @param {String} nodeId A valid ID of a node to select.
+ * @returns {Boolean} TRUE on success; FALSE on failure or if vetoed.
+ */
+
+TreeModel.prototype.selectSingle = function(nodeId) {
+    
+    return this.changeSelection('single', nodeId);
+    
+}
+
+/**
+ * Selects all available nodes (see .changeSelection()).
+ * 
+ * @returns {Boolean} TRUE on success; FALSE on failure or if vetoed.
+ */
+
+TreeModel.prototype.selectAll = function() {
+    
+    return this.changeSelection('all');
+    
+}
+
+/**
+ * Deselects all selected nodes (see .changeSelection()).
+ * 
+ * @returns {Boolean} TRUE on success; FALSE on failure or if vetoed.
+ */
+
+TreeModel.prototype.selectNone = function() {
+    
+    return this.changeSelection('none');
+    
+}
+
+/**
+ * Selects a given range of nodes and deselects the rest (see .changeSelection()).
+ * 
+ * @param {String} startNodeId A valid ID of a node where selection will start.
+ * @param {String} endNodeId A valid ID of a node where selection will end.
+ * @returns {Boolean} TRUE on success; FALSE on failure or if vetoed.
+ */
+
+TreeModel.prototype.selectRange = function(startNodeId, endNodeId) {
+    
+    return this.changeSelection('range', startNodeId, endNodeId);
+    
+}
+
+/**
+ * Adds node to selection.
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of a node to add to selection.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeModel.prototype._addToSelection = function(nodeId) {
+    
+    // Node must exist:
+    if (!this.nodes[nodeId]) {
+        this.onError(new TreeJSError('NODE_NOT_FOUND', 'Unable to add node to selection. The node does not exist.', 'addToSelection', arguments));
+        return false;
+    }
+    
+    // Do not add nodes that are already in selection:
+    if (this.isSelected(nodeId)) {
+        return true;
+    }
+    
+    this.selection.push(nodeId);
+    
+    return this._emit('selected', nodeId);
+}
+
+/**
+ * Removes node from selection.
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of a node to remove from selection.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeModel.prototype._removeFromSelection = function(nodeId) {
+    
+    // Node must exist:
+    if (!this.nodes[nodeId]) {
+        this.onError(new TreeJSError('NODE_NOT_FOUND', 'Unable to remove node from selection. The node does not exist.', 'removeFromSelection', arguments));
+        return false;
+    }
+    
+    // Get node position in selection list:
+    var posInSelection = this.inSelection(nodeId);
+    
+    // Do not deselect nodes that are not in selection:
+    if (posInSelection === false) {
+        return true;
+    }
+    
+    this.selection.splice(posInSelection, 1);
+    
+    return this._emit('deselected', nodeId);
+}
+
+/**
+ * Selects a single node and deselects the rest.
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of a node to select.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeModel.prototype._selectSingle = function(nodeId) {
+    
+    // Node must exist:
+    // (it is important to check it here in order to
+    //  throw an error before actually invoking selectNone)
+    if (!this.nodes[nodeId]) {
+        this.onError(new TreeJSError('NODE_NOT_FOUND', 'Unable to select node. The node does not exist.', 'selectSingle', arguments));
+        return false;
+    }
+    
+    // First of all deselect all nodes:
+    if (!this._selectNone()) {
+        this.onError(new TreeJSError('OPERATION_FAILED', 'Failed to select a single element. Selection cleanup failed.', 'selectSingle', arguments));
+        return false;
+    }
+    
+    // Now reselect the node:
+    if (!this._addToSelection(nodeId)) {
+        this.onError(new TreeJSError('OPERATION_FAILED', 'Failed to select a single element. Adding to selection failed.', 'selectSingle', arguments));
+        return false;
+    }
+    
+    return true;
+}
+
+/**
+ * Selects all available nodes.
+ * 
+ * @private
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeModel.prototype._selectAll = function() {
+    
+    for (var nodeId in this.nodes) {
+        
+        // Attempt to add currently iterated node to selection
+        // or throw an error to avoid multiple error messages:
+        if (!this._addToSelection(nodeId)) {
+            this.onError(new TreeJSError('OPERATION_FAILED', 'Failed to add all nodes to selection.', 'selectAll', arguments));
+            return false;
+        }
+        
+    }
+    
+    return true;
+}
+
+/**
+ * Deselects all selected nodes.
+ * 
+ * @private
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeModel.prototype._selectNone = function() {
+    
+    // We're using "while" loop because node removal from selection
+    // modifies the selection array length and "for" loop messes up...
+    while (this.selection.length > 0) {
+        
+        // Attempt to remove currently iterated node from selection
+        // or throw an error to avoid infinite loop or multiple error messages:
+        if (!this._removeFromSelection(this.selection[0])) {
+            this.onError(new TreeJSError('OPERATION_FAILED', 'Failed to remove all selected nodes from selection.', 'selectNone', arguments));
+            return false;
+        }
+    }
+    
+    return true;
+}
+
+/**
+ * Selects a given range of nodes and deselects the rest.
+ * 
+ * @private
+ * @param {String} startNodeId A valid ID of a node where selection will start.
+ * @param {String} endNodeId A valid ID of a node where selection will end.
+ * @returns {Boolean} TRUE on successful selection; FALSE on failure.
+ */
+
+TreeModel.prototype._selectRange = function(startNodeId, endNodeId) {
+    
+    if (!this.nodes[startNodeId]) {
+        this.onError(new TreeJSError('NODE_NOT_FOUND', 'Unable to select range. The range start node does not exist.', 'selectRange', arguments));
+        return false;
+    }
+    
+    if (!this.nodes[endNodeId]) {
+        this.onError(new TreeJSError('NODE_NOT_FOUND', 'Unable to select range. The range end node does not exist.', 'selectRange', arguments));
+        return false;
+    }
+    
+    // Clear up selection before selecting range:
+    this._selectNone();
+    
+    // Rows hidden within closed folders are skipped, unless an edge of the range is hidden itself:
+    var nodeSequence = (this.isVisible(startNodeId) && this.isVisible(endNodeId))
+        ?    this.getVisibleSequence()
+        :    this.getNodeSequence();
+    
+    // Figure out positions of nodes which mark the selection range edges:
+    for (var pos = 0; pos < nodeSequence.length; pos++) {
+        
+        if (nodeSequence[pos] == startNodeId) {
+            var startNodePos = pos;
+        }
+        
+        if (nodeSequence[pos] == endNodeId) {
+            var endNodePos = pos;
+        }
+        
+    }
+    
+    // Handling selection from bottom to top:
+    if (startNodePos > endNodePos) {
+        
+        var temp = endNodePos;
+        
+        endNodePos = startNodePos;
+        startNodePos = temp;
+        
+    }
+    
+    // Finally iterate through the positions and add nodes to selection:
+    for (var pos = startNodePos; pos <= endNodePos; pos++) {
+        this._addToSelection(nodeSequence[pos]);
+    }
+    
+    return true;
+}
+
+/**
+ * Checks if a node is selected.
+ * 
+ * @param {String} nodeId A valid ID of a node to check.
+ * @returns {Boolean} TRUE if node is selected; FALSE otherwise.
+ */
+
+TreeModel.prototype.isSelected = function(nodeId) {
+    
+    return (this.inSelection(nodeId) === false)
+        ? false
+        : true;
+    
+}
+
+/**
+ * Obtains position of node in selection.
+ * 
+ * @param {String} nodeId A valid ID of a node.
+ * @returns {Integer|Boolean} Numerical position of node in selection or FALSE if not in selection.
+ */
+
+TreeModel.prototype.inSelection = function(nodeId) {
+    
+    var selection_length = this.selection.length;
+    
+    for (var position = 0; position < selection_length; position++) {
+        
+        if (this.selection[position] == nodeId) {
+            return position;
+        }
+        
+    }
+    
+    return false;
+}
+
+/* ---------------------------------------------------- CHECKING ---------------------------------------------------- */
+
+/**
+ * Checks a node along with all of its descendants.
+ * 
+ * Check states are independent of the selection. A folder is checked when all of its children are checked,
+ * "mixed" when only some of them are (or are mixed themselves), and unchecked otherwise.
+ * 
+ * @param {String} nodeId A valid ID of a node to check.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeModel.prototype.check = function(nodeId) {
+    
+    return this._setChecked(nodeId, true, 'check', arguments);
+    
+}
+
+/**
+ * Unchecks a node along with all of its descendants.
+ * 
+ * @param {String} nodeId A valid ID of a node to uncheck.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeModel.prototype.uncheck = function(nodeId) {
+    
+    return this._setChecked(nodeId, false, 'uncheck', arguments);
+    
+}
+
+/**
+ * Toggles a check state of a node: checked nodes are unchecked, mixed and unchecked ones are checked.
+ * 
+ * @param {String} nodeId A valid ID of a node to toggle.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeModel.prototype.toggleCheck = function(nodeId) {
+    
+    return this._setChecked(nodeId, this.getCheckState(nodeId) != 'checked', 'toggleCheck', arguments);
+    
+}
+
+/**
+ * Returns a check state of a node.
+ * 
+ * @param {String} nodeId A valid ID of a node.
+ * @returns {String} "checked", "unchecked" or "mixed" (some of the descendants are checked).
+ */
+
+TreeModel.prototype.getCheckState = function(nodeId) {
+    
+    return this.checkStates[nodeId] || 'unchecked';
+    
+}
+
+/**
+ * Checks if a node is checked (mixed folders aren't).
+ * 
+ * @param {String} nodeId A valid ID of a node.
+ * @returns {Boolean} TRUE if the node is checked; FALSE otherwise.
+ */
+
+TreeModel.prototype.isChecked = function(nodeId) {
+    
+    return (this.checkStates[nodeId] == 'checked');
+    
+}
+
+/**
+ * Returns IDs of checked nodes in the order of the tree.
+ * 
+ * @param {Object} [options]
+ *    @param {Boolean} [options.leavesOnly] If set to True - checked folders are left out.
+ * @returns {Array} A list of checked node IDs (mixed folders are never listed).
+ */
+
+TreeModel.prototype.getChecked = function(options) {
+    
+    var leavesOnly = !!(options && options.leavesOnly);
+    var sequence = this.getNodeSequence();
+    var checked = [];
+    
+    for (var i = 0; i < sequence.length; i++) {
+        if (this.checkStates[sequence[i]] == 'checked' && !(leavesOnly && this.isDir(sequence[i]))) {
+            checked.push(sequence[i]);
+        }
+    }
+    
+    return checked;
+}
+
+/**
+ * Checks or unchecks a subtree, updates the ancestors and notifies the subscribers.
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of a node.
+ * @param {Boolean} isChecked TRUE to check the subtree; FALSE to uncheck it.
+ * @param {String} method A name of the public method (for error reporting).
+ * @param {Arguments} args Arguments of the public method (for error reporting).
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeModel.prototype._setChecked = function(nodeId, isChecked, method, args) {
+    
+    if (typeof nodeId != 'string') {
+        this.onError(new TreeJSError('INVALID_NODE_ID', 'Unable to ' + method + '. Node ID is invalid.', method, args));
+        return false;
+    }
+    
+    if (!this.nodes[nodeId]) {
+        this.onError(new TreeJSError('NODE_NOT_FOUND', 'Unable to ' + method + '. Node reference not found.', method, args));
+        return false;
+    }
+    
+    var state = isChecked ? 'checked' : 'unchecked';
+    var subtree = [nodeId].concat(this.getDescendantsOf(nodeId));
+    var changes = [];
+    
+    for (var i = 0; i < subtree.length; i++) {
+        this._setCheckState(subtree[i], state, changes);
+    }
+    
+    this._refreshCheckPath(nodeId, changes);
+    
+    return this._emitCheckChanges(changes);
+}
+
+/**
+ * Sets a check state of a single node and updates the check counts of its parent.
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of a node.
+ * @param {String} state "checked", "unchecked" or "mixed".
+ * @param {Array} changes A list to append the node ID to if the state has changed.
+ * @returns {Boolean} TRUE if the state has changed; FALSE otherwise.
+ */
+
+TreeModel.prototype._setCheckState = function(nodeId, state, changes) {
+    
+    var oldState = this.getCheckState(nodeId);
+    var parentId = this.getParentIdOf(nodeId);
+    
+    if (state == oldState) {
+        return false;
+    }
+    
+    if (state == 'unchecked') {
+        delete this.checkStates[nodeId];
+    } else {
+        this.checkStates[nodeId] = state;
+    }
+    
+    // Root nodes have no folder to be counted by:
+    if (parentId != '') {
+        
+        var counts = this.checkCounts[parentId] || (this.checkCounts[parentId] = {checked: 0, mixed: 0});
+        
+        if (oldState != 'unchecked') {
+            counts[oldState]--;
+        }
+        
+        if (state != 'unchecked') {
+            counts[state]++;
+        }
+        
+    }
+    
+    changes.push(nodeId);
+    
+    return true;
+}
+
+/**
+ * Updates check states of the ancestors of a node, nearest first,
+ * until one of them keeps its state.
+ * 
+ * @private
+ * @param {String} nodeId An ID of a checked, unchecked, moved or removed node.
+ * @param {Array} changes A list to append IDs of the changed ancestors to.
+ * @returns {Void}
+ */
+
+TreeModel.prototype._refreshCheckPath = function(nodeId, changes) {
+    
+    for (var folderId = this.getParentIdOf(nodeId); folderId && this.nodes[folderId]; folderId = this.getParentIdOf(folderId)) {
+        
+        var counts = this.checkCounts[folderId] || {checked: 0, mixed: 0};
+        var childCount = this.nodes[folderId].children.length;
+        var state = this.getCheckState(folderId);
+        
+        // A folder without children keeps the state it has been given (but can't be mixed):
+        if (childCount == 0) {
+            state = (state == 'mixed') ? 'unchecked' : state;
+        } else if (counts.checked == childCount) {
+            state = 'checked';
+        } else {
+            state = (counts.checked || counts.mixed) ? 'mixed' : 'unchecked';
+        }
+        
+        if (!this._setCheckState(folderId, state, changes)) {
+            break;
+        }
+        
+    }
+    
+}
+
+/**
+ * Notifies the subscribers about changed check states.
+ * 
+ * @private
+ * @param {Array} changes IDs of nodes whose check states have changed.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeModel.prototype._emitCheckChanges = function(changes) {
+    
+    if (!changes.length) {
+        return true;
+    }
+    
+    for (var i = 0; i < changes.length; i++) {
+        if (this.nodes[changes[i]] && !this._emit('checkStateChanged', changes[i], this.getCheckState(changes[i]))) {
+            return false;
+        }
+    }
+    
+    return this._emit('checkedChanged');
+}
+
+/* ---------------------------------------------------- VIEW STATE ---------------------------------------------------- */
+
+/**
+ * Returns the view state: open folders, the selection and the sort spec.
+ * 
+ * The state is plain data (e.g. for JSON.stringify) and can be restored with .setViewState();
+ * folders and selected nodes which are still waiting to be added are listed as well.
+ * 
+ * @returns {Object} {openIds: Array, selection: Array, sortSpec: Array}
+ */
+
+TreeModel.prototype.getViewState = function() {
+    
+    var pending = this.pendingViewState || {openIds: {}, selection: {}};
+    var state = {
+        openIds: [],
+        selection: this.selection.slice(0),
+        sortSpec: this.getSortSpec()
+    };
+    
+    for (var nodeId in this.nodes) {
+        if (this.isDir(nodeId) && this.nodes[nodeId].isOpen) {
+            state.openIds.push(nodeId);
+        }
+    }
+    
+    for (var nodeId in pending.openIds) {
+        state.openIds.push(nodeId);
+    }
+    
+    for (var nodeId in pending.selection) {
+        state.selection.push(nodeId);
+    }
+    
+    return state;
+}
+
+/**
+ * Restores a view state returned by .getViewState().
+ * 
+ * Folders which aren't listed are closed, and the selection is replaced.
+ * Nodes which don't exist yet are opened (or selected) once they are added, e.g. by a later .update()
+ * or by a lazy loader; a sort spec referring to columns which are no longer there is ignored.
+ * Opening, closing and selecting can be vetoed by the subscribers as usual.
+ * 
+ * @param {Object} state A view state: {openIds: Array, selection: Array, sortSpec: Array} (all parts are optional).
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeModel.prototype.setViewState = function(state) {
+    
+    if (typeof state != 'object' || state == null) {
+        this.onError(new TreeJSError('INVALID_ARGUMENT', 'Unable to set view state. State must be an object.', 'setViewState', arguments));
+        return false;
+    }
+    
+    var parts = ['openIds', 'selection'];
+    
+    for (var i = 0; i < parts.length; i++) {
+        if (state[parts[i]] !== undefined && Object.prototype.toString.call(state[parts[i]]) != '[object Array]') {
+            this.onError(new TreeJSError('INVALID_ARGUMENT', 'Unable to set view state. The "' + parts[i] + '" part must be a list of node IDs.', 'setViewState', arguments));
+            return false;
+        }
+    }
+    
+    var openIds = {};
+    var pending = {openIds: {}, selection: {}};
+    var states = {};
+    
+    for (var i = 0; state.openIds && i < state.openIds.length; i++) {
+        if (typeof state.openIds[i] == 'string' && this.isDir(state.openIds[i])) {
+            openIds[state.openIds[i]] = true;
+        }
+    }
+    
+    for (var nodeId in this.nodes) {
+        if (this.isDir(nodeId)) {
+            states[nodeId] = !!openIds[nodeId];
+        }
+    }
+    
+    for (var nodeId in openIds) {
+        if (!this.nodes[nodeId]) {
+            pending.openIds[nodeId] = true;
+        }
+    }
+    
+    this.pendingViewState = pending;
+    this.isRestoringState = true;
+    
+    // Subscribers get a chance to redraw the tree once, when the batch ends:
+    this.beginUpdate();
+    
+    try {
+        
+        var sortSpec = this._normalizeSortSpec(state.sortSpec);
+        
+        for (var i = 0; sortSpec && i < sortSpec.length; i++) {
+            if (!this.template.columns[sortSpec[i].column]) {
+                sortSpec = null;
+            }
+        }
+        
+        // (a vetoed sort leaves the current order as it is)
+        if (sortSpec) {
+            this.sortBy(sortSpec);
+        }
+        
+        var success = this._setBranchStates(states, 'setViewState');
+        
+        if (success && this.selection.length && !this.changeSelection('none')) {
+            success = false;
+        }
+        
+        for (var i = 0; success && state.selection && i < state.selection.length; i++) {
+            
+            var nodeId = state.selection[i];
+            
+            if (typeof nodeId != 'string') {
+                continue;
+            }
+            
+            if (!this.nodes[nodeId]) {
+                pending.selection[nodeId] = true;
+            } else if (!this.changeSelection('add', nodeId)) {
+                success = false;
+            }
+            
+        }
+        
+    } finally {
+        this.isRestoringState = false;
+    }
+    
+    this._dropPendingState('', '');
+    
+    return this.endUpdate() && success;
+}
+
+/**
+ * Opens or selects a newly added node, if a view state set beforehand says so.
+ * 
+ * @private
+ * @param {String} nodeId A valid ID of a node which has just been added.
+ * @returns {Boolean} TRUE on success; FALSE on failure.
+ */
+
+TreeModel.prototype._restorePendingState = function(nodeId) {
+    
+    var pending = this.pendingViewState;
+    var isRestoring = this.isRestoringState;
+    var success = true;
+    
+    this.isRestoringState = true;
+    
+    try {
+        
+        if (pending.openIds[nodeId]) {
+            delete pending.openIds[nodeId];
+            success = this.openBranch(nodeId);
+        }
+        
+        if (pending.selection[nodeId]) {
+            delete pending.selection[nodeId];
+            success = this.changeSelection('add', nodeId) && success;
+        }
+        
+    } finally {
+        this.isRestoringState = isRestoring;
+    }
+    
+    // Nothing is looked up for the nodes added later once the whole state has been restored:
+    this._dropPendingState('', '');
+    
+    return success;
+}
+
+/**
+ * Forgets nodes which are still waiting to be restored by a view state set beforehand,
+ * since the user has changed the view in the meantime. Once nothing is waiting, the pending state is dropped.
+ * 
+ * @private
+ * @param {String} part "openIds" or "selection"; an empty string to only drop the pending state if nothing is waiting.
+ * @param {String} folderId Only nodes within this folder are forgotten; an empty string for all nodes.
+ * @returns {Void}
+ */
+
+TreeModel.prototype._dropPendingState = function(part, folderId) {
+    
+    var pending = this.pendingViewState;
+    
+    // Changes made by the view state itself don't count (nor is it dropped while it is being set):
+    if (!pending || this.isRestoringState) {
+        return;
+    }
+    
+    for (var nodeId in pending[part]) {
+        if (nodeId.substr(0, folderId.length) == folderId) {
+            delete pending[part][nodeId];
+        }
+    }
+    
+    for (var key in pending) {
+        for (var nodeId in pending[key]) {
+            return;
+        }
+    }
+    
+    this.pendingViewState = null;
+    
+}
+
+/* ---------------------------------------------------- VALIDATION ---------------------------------------------------- */
+
+/**
+ * Validates a template without modifying it.
+ * 
+ * Unlike .setTemplate(), which quietly replaces invalid settings with defaults,
+ * this function reports every problem found. Each problem is described as
+ * {code: String, path: String, message: String}, e.g.
+ * {code: 'INVALID_SORT_ORDER', path: 'sortOrder', message: 'Sort order must be "asc" or "desc".'}
+ * 
+ * @static
+ * @param {Object} template A template to validate.
+ * @returns {Array} A list of problems; empty if the template is valid.
+ */
+
+TreeModel.validateTemplate = function(template) {
+    
+    var problems = [];
+    
+    if (typeof template != 'object' || template == null || Object.prototype.toString.call(template) == '[object Array]') {
+        problems.push({code: 'INVALID_TEMPLATE', path: '', message: 'Template must be a non-null object.'});
+        return problems;
+    }
+    
+    var columns = template.columns;
+    
+    if (typeof columns != 'object' || columns == null || Object.prototype.toString.call(columns) == '[object Array]') {
+        problems.push({code: 'INVALID_TEMPLATE', path: 'columns', message: 'Columns must be a non-null object keyed by column ID.'});
+        columns = {};
+    }
+    
+    for (var columnId in columns) {
+        
+        var column = columns[columnId];
+        var path = 'columns.' + columnId;
+        
+        if (typeof column != 'object' || column == null) {
+            problems.push({code: 'INVALID_TEMPLATE', path: path, message: 'Column definition must be a non-null object.'});
+            continue;
+        }
+        
+        if (column.title !== undefined && typeof column.title != 'string') {
+            problems.push({code: 'INVALID_TEMPLATE', path: path + '.title', message: 'Column title must be a string.'});
+        }
+        
+        if (column.defaultValue !== undefined && !TreeModel._isScalar(column.defaultValue)) {
+            problems.push({code: 'NON_SCALAR_VALUE', path: path + '.defaultValue', message: 'Default value must be a string, a number, a boolean or null.'});
+        }
+        
+        if (column.noEscape !== undefined && typeof column.noEscape != 'boolean') {
+            problems.push({code: 'INVALID_TEMPLATE', path: path + '.noEscape', message: 'The noEscape flag must be a boolean.'});
+        }
+        
+        if (column.type !== undefined && !(typeof column.type == 'string' && TreeModel.columnTypes.hasOwnProperty(column.type))) {
+            problems.push({code: 'INVALID_TEMPLATE', path: path + '.type', message: 'Column type must be one of: ' + TreeModel._keysOf(TreeModel.columnTypes).join(', ') + '.'});
+        }
+        
+        if (column.empty !== undefined && !(column.empty === 'first' || column.empty === 'last')) {
+            problems.push({code: 'INVALID_TEMPLATE', path: path + '.empty', message: 'Column setting "empty" must be "first" or "last".'});
+        }
+        
+        if (column.aggregate !== undefined && !TreeModel._isAggregate(column.aggregate)) {
+            problems.push({code: 'INVALID_TEMPLATE', path: path + '.aggregate', message: 'Aggregate must be a function or one of: ' + TreeModel._keysOf(TreeModel.aggregateTypes).join(', ') + '.'});
+        }
+        
+        if (column.compare !== undefined && typeof column.compare != 'function') {
+            problems.push({code: 'INVALID_TEMPLATE', path: path + '.compare', message: 'The compare hook must be a function.'});
+        }
+        
+    }
+    
+    if (template.sortColumn !== undefined) {
+        if (typeof template.sortColumn != 'string') {
+            problems.push({code: 'INVALID_TEMPLATE', path: 'sortColumn', message: 'Sort column must be a string.'});
+        } else if (!columns.hasOwnProperty(template.sortColumn)) {
+            problems.push({code: 'COLUMN_NOT_FOUND', path: 'sortColumn', message: 'Sort column "' + template.sortColumn + '" is not defined in columns.'});
+        }
+    }
+    
+    if (template.sortOrder !== undefined
+        && (typeof template.sortOrder != 'string' || !(template.sortOrder.toLowerCase() in {'asc': 1, 'desc': 1}))) {
+        problems.push({code: 'INVALID_SORT_ORDER', path: 'sortOrder', message: 'Sort order must be "asc" or "desc".'});
+    }
+    
+    if (template.sortSpec !== undefined) {
+        
+        var sortSpec = template.sortSpec;
+        var sortColumns = {};
+        
+        if (Object.prototype.toString.call(sortSpec) != '[object Array]' || !sortSpec.length) {
+            problems.push({code: 'INVALID_TEMPLATE', path: 'sortSpec', message: 'Sort spec must be a non-empty list of {column, order}.'});
+            sortSpec = [];
+        }
+        
+        for (var i = 0; i < sortSpec.length; i++) {
+            
+            var key = sortSpec[i];
+            var path = 'sortSpec.' + i;
+            
+            if (typeof key != 'object' || key == null || typeof key.column != 'string') {
+                problems.push({code: 'INVALID_TEMPLATE', path: path, message: 'Sort key must be an object with a column ID.'});
+                continue;
+            }
+            
+            if (!columns.hasOwnProperty(key.column)) {
+                problems.push({code: 'COLUMN_NOT_FOUND', path: path + '.column', message: 'Sort column "' + key.column + '" is not defined in columns.'});
+            } else if (sortColumns[key.column]) {
+                problems.push({code: 'INVALID_TEMPLATE', path: path + '.column', message: 'Sort column "' + key.column + '" is listed more than once.'});
+            }
+            
+            sortColumns[key.column] = true;
+            
+            if (key.order !== undefined && (typeof key.order != 'string' || !(key.order.toLowerCase() in {'asc': 1, 'desc': 1}))) {
+                problems.push({code: 'INVALID_SORT_ORDER', path: path + '.order', message: 'Sort order must be "asc" or "desc".'});
+            }
+            
+        }
+        
+    }
+    
+    if (template.locale !== undefined && !TreeModel._isLocale(template.locale)) {
+        problems.push({code: 'INVALID_TEMPLATE', path: 'locale', message: 'Locale must be a language tag (e.g. "de") or a list of them.'});
+    }
+    
+    if (template.sensitivity !== undefined && !(template.sensitivity in {'base': 1, 'accent': 1, 'case': 1, 'variant': 1})) {
+        problems.push({code: 'INVALID_TEMPLATE', path: 'sensitivity', message: 'Sensitivity must be "base", "accent", "case" or "variant".'});
+    }
+    
+    if (template.initialExpandLevel !== undefined
+        && (typeof template.initialExpandLevel != 'number' || !(template.initialExpandLevel >= 0))) {
+        problems.push({code: 'INVALID_TEMPLATE', path: 'initialExpandLevel', message: 'Initial expand level must be a non-negative number.'});
+    }
+    
+    if (template.loadChildren !== undefined && typeof template.loadChildren != 'function') {
+        problems.push({code: 'INVALID_TEMPLATE', path: 'loadChildren', message: 'The loadChildren hook must be a function.'});
+    }
+    
+    if (template.strict !== undefined && typeof template.strict != 'boolean') {
+        problems.push({code: 'INVALID_TEMPLATE', path: 'strict', message: 'The strict flag must be a boolean.'});
+    }
+    
+    return problems;
+}
+
+/**
+ * Validates a dataset against a template without modifying either of them.
+ * 
+ * Reports every problem found (see .validateTemplate() for the format of problems):
+ *  - INVALID_DATASET - the dataset or a row is not an object, or a meta field is invalid
+ *  - INVALID_NODE_ID - a node ID is empty or has empty path segments (e.g. "foo//bar")
+ *  - UNKNOWN_COLUMN - a row has a cell for a column which isn't defined in the template
+ *  - NON_SCALAR_VALUE - a cell value is an object, an array or a function
+ *  - ID_COLLISION - a leaf has the same path as a folder (e.g. "foo" and "foo/bar")
+ * 
+ * Fields starting with "__" (e.g. "__className", "__lazy") are meta fields, not cells.
+ * 
+ * @static
+ * @param {Object} dataset A dataset to validate.
+ * @param {Object} template A template defining the columns.
+ * @returns {Array} A list of problems; empty if the dataset is valid.
+ */
+
+TreeModel.validateDataset = function(dataset, template) {
+    
+    var problems = [];
+    // Same as the DIR_SEPARATOR of model instances:
+    var separator = '/';
+    
+    if (typeof dataset != 'object' || dataset == null || Object.prototype.toString.call(dataset) == '[object Array]') {
+        problems.push({code: 'INVALID_DATASET', path: '', message: 'Dataset must be a non-null object keyed by node ID.'});
+        return problems;
+    }
+    
+    var columns = (template && typeof template.columns == 'object' && template.columns) || {};
+    
+    // Every folder path (either listed or implied by a deeper node ID):
+    var folders = {};
+    
+    for (var nodeId in dataset) {
+        
+        var segments = nodeId.split(separator);
+        var folderPath = '';
+        
+        for (var i = 0; i < segments.length - 1; i++) {
+            folderPath += segments[i] + separator;
+            folders[folderPath] = true;
+        }
+        
+    }
+    
+    for (var nodeId in dataset) {
+        
+        var row = dataset[nodeId];
+        var isDir = nodeId.substr(-1) == separator;
+        var segments = (isDir ? nodeId.slice(0, -1) : nodeId).split(separator);
+        
+        for (var i = 0; i < segments.length; i++) {
+            if (segments[i] === '') {
+                problems.push({code: 'INVALID_NODE_ID', path: nodeId, message: 'Node ID "' + nodeId + '" has an empty path segment.'});
+                break;
+            }
+        }
+        
+        if (!isDir && folders[nodeId + separator]) {
+            problems.push({code: 'ID_COLLISION', path: nodeId, message: 'Leaf "' + nodeId + '" collides with folder "' + nodeId + separator + '".'});
+        }
+        
+        if (typeof row != 'object' || row == null || Object.prototype.toString.call(row) == '[object Array]') {
+            problems.push({code: 'INVALID_DATASET', path: nodeId, message: 'Row must be a non-null object keyed by column ID.'});
+            continue;
+        }
+        
+        for (var key in row) {
+            
+            var path = nodeId + '.' + key;
+            
+            // Meta fields:
+            if (key.substr(0, 2) == '__') {
+                
+                if (key == '__className' && typeof row[key] != 'string') {
+                    problems.push({code: 'INVALID_DATASET', path: path, message: 'The __className field must be a string.'});
+                } else if (key == '__lazy' && (typeof row[key] != 'boolean' || (row[key] && !isDir))) {
+                    problems.push({code: 'INVALID_DATASET', path: path, message: 'The __lazy field must be a boolean, and only folders can be lazy.'});
+                }
+                
+                continue;
+            }
+            
+            if (!columns.hasOwnProperty(key)) {
+                problems.push({code: 'UNKNOWN_COLUMN', path: path, message: 'Column "' + key + '" is not defined in the template.'});
+            }
+            
+            if (!TreeModel._isScalar(row[key])) {
+                problems.push({code: 'NON_SCALAR_VALUE', path: path, message: 'Cell value must be a string, a number, a boolean or null.'});
+            }
+            
+        }
+        
+    }
+    
+    return problems;
+}
+
+/**
+ * Checks whether a value can be put in a cell.
+ * 
+ * @private
+ * @static
+ * @param {Mixed} value A value to check.
+ * @returns {Boolean} TRUE for strings, numbers, booleans, null and undefined; FALSE otherwise.
+ */
+
+TreeModel._isScalar = function(value) {
+    
+    return value == null || typeof value == 'string' || typeof value == 'number' || typeof value == 'boolean';
+    
+}
+
+/**
+ * Checks whether a value is a valid locale for Intl.Collator.
+ * 
+ * @private
+ * @static
+ * @param {Mixed} locale A value to check.
+ * @returns {Boolean} TRUE for a language tag or a non-empty list of them; FALSE otherwise.
+ */
+
+TreeModel._isLocale = function(locale) {
+    
+    var locales = (Object.prototype.toString.call(locale) == '[object Array]') ? locale : [locale];
+    
+    if (!locales.length) {
+        return false;
+    }
+    
+    for (var i = 0; i < locales.length; i++) {
+        if (typeof locales[i] != 'string' || locales[i] == '') {
+            return false;
+        }
+    }
+    
+    // Malformed tags are only detected where Intl is available:
+    try {
+        return (typeof Intl != 'object' || !Intl || !Intl.Collator) || !!new Intl.Collator(locales);
+    } catch(e) {
+        return false;
+    }
+}
+
+/**
+ * Lists own keys of an object (Object.keys isn't available in old browsers).
+ * 
+ * @private
+ * @static
+ * @param {Object} object An object.
+ * @returns {Array} A list of keys.
+ */
+
+TreeModel._keysOf = function(object) {
+    
+    var keys = [];
+    
+    for (var key in object) {
+        if (object.hasOwnProperty(key)) {
+            keys.push(key);
+        }
+    }
+    
+    return keys;
+}
+
+/**
+ * Checks if a column setting names an aggregate.
+ * 
+ * @private
+ * @static
+ * @param {Mixed} aggregate A value of the "aggregate" setting of a column.
+ * @returns {Boolean} TRUE for a name from TreeModel.aggregateTypes or a function; FALSE otherwise.
+ */
+
+TreeModel._isAggregate = function(aggregate) {
+    
+    return typeof aggregate == 'function'
+        || (typeof aggregate == 'string' && TreeModel.aggregateTypes.hasOwnProperty(aggregate));
+    
+}
+
+/* ---------------------------------------------------- COLUMN TYPES ---------------------------------------------------- */
+
+/**
+ * Column types which can be set in the template (e.g. {title: 'Size', type: 'bytes'}).
+ * 
+ * Each type defines:
+ *  - numeric - whether values are numbers (e.g. edited as numbers);
+ *  - toSortKey(value) - converts a value into a Number or a String to compare; Null if empty or unparsable;
+ *  - format(value) - converts a non-empty value into the text displayed in the cell.
+ * 
+ * Values of untyped columns are compared as they are and displayed as they are.
+ * More types can be added to this object.
+ * 
+ * @static
+ * @type {Object}
+ */
+
+TreeModel.columnTypes = {
+    
+    // Text (compared naturally, see ._compareValues()):
+    string: {
+        numeric: false,
+        toSortKey: function(value) {
+            return (value == null || value === '') ? null : String(value);
+        },
+        format: function(value) {
+            return String(value);
+        }
+    },
+    
+    // Numbers, also those stored as strings (e.g. "12.5"):
+    number: {
+        numeric: true,
+        toSortKey: function(value) {
+            return TreeModel._toNumber(value);
+        },
+        format: function(value) {
+            var number = TreeModel._toNumber(value);
+            return (number === null) ? String(value) : String(number);
+        }
+    },
+    
+    // Timestamps (milliseconds) or date strings, e.g. "2013-05-01" (local) or "2013-05-01T10:20:00Z";
+    // displayed as "2013-05-01" or "2013-05-01 12:20" (local time):
+    date: {
+        numeric: false,
+        toSortKey: function(value) {
+            return TreeModel._toTimestamp(value);
+        },
+        format: function(value) {
+            
+            var timestamp = TreeModel._toTimestamp(value);
+            
+            if (timestamp === null) {
+                return String(value);
+            }
+            
+            var date = new Date(timestamp);
+            var pad = function(number) { return (number < 10 ? '0' : '') + number; };
+            var text = date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate());
+            
+            return (date.getHours() || date.getMinutes())
+                ?    text + ' ' + pad(date.getHours()) + ':' + pad(date.getMinutes())
+                :    text;
+        }
+    },
+    
+    // true/false, 1/0, "true"/"false" or "yes"/"no"; false precedes true:
+    boolean: {
+        numeric: false,
+        toSortKey: function(value) {
+            
+            var key = String(value).toLowerCase();
+            
+            return (key in {'true': 1, '1': 1, 'yes': 1})
+                ?    1
+                :    ((key in {'false': 1, '0': 1, 'no': 1}) ? 0 : null);
+        },
+        format: function(value) {
+            
+            var key = TreeModel.columnTypes.boolean.toSortKey(value);
+            
+            return (key === null) ? String(value) : (key ? 'Yes' : 'No');
+        }
+    },
+    
+    // A number of bytes, displayed in binary units, e.g. 1536 as "1.5 KB":
+    bytes: {
+        numeric: true,
+        toSortKey: function(value) {
+            return TreeModel._toNumber(value);
+        },
+        format: function(value) {
+            
+            var number = TreeModel._toNumber(value);
+            var units = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
+            var unit = 0;
+            
+            if (number === null) {
+                return String(value);
+            }
+            
+            while (Math.abs(number) >= 1024 && unit < units.length - 1) {
+                number /= 1024;
+                unit++;
+            }
+            
+            return (unit ? Math.round(number * 10) / 10 : number) + ' ' + units[unit];
+        }
+    },
+    
+    // A fraction, displayed as a percentage, e.g. 0.125 as "12.5%":
+    percent: {
+        numeric: true,
+        toSortKey: function(value) {
+            return TreeModel._toNumber(value);
+        },
+        format: function(value) {
+            
+            var number = TreeModel._toNumber(value);
+            
+            return (number === null) ? String(value) : (Math.round(number * 10000) / 100) + '%';
+        }
+    },
+    
+    // A number of seconds, displayed as "m:ss" or "h:mm:ss", e.g. 3725 as "1:02:05":
+    duration: {
+        numeric: true,
+        toSortKey: function(value) {
+            return TreeModel._toNumber(value);
+        },
+        format: function(value) {
+            
+            var number = TreeModel._toNumber(value);
+            
+            if (number === null) {
+                return String(value);
+            }
+            
+            var seconds = Math.round(Math.abs(number));
+            var hours = Math.floor(seconds / 3600);
+            var minutes = Math.floor(seconds % 3600 / 60);
+            var pad = function(number) { return (number < 10 ? '0' : '') + number; };
+            
+            seconds = seconds % 60;
+            
+            return (number < 0 ? '-' : '') + (hours ? hours + ':' + pad(minutes) : minutes) + ':' + pad(seconds);
+        }
+    }
+    
+}
+
+/**
+ * Aggregates which can be set for a column (e.g. {title: 'Size', type: 'bytes', aggregate: 'sum'}).
+ * 
+ * Each one turns the figures of a folder into its value:
+ *  - sum - a total of the numeric values of its descendant leaves;
+ *  - avg - an average of those values;
+ *  - min, max - the smallest and the greatest of those values;
+ *  - count - a number of its descendant leaves (with or without values).
+ * Folders without numeric values get Null (i.e. an empty cell), except for "count".
+ * More aggregates can be added to this object.
+ * 
+ * @static
+ * @type {Object}
+ */
+
+TreeModel.aggregateTypes = {
+    
+    sum: function(figures) {
+        return figures.count ? figures.sum : null;
+    },
+    
+    avg: function(figures) {
+        return figures.count ? figures.sum / figures.count : null;
+    },
+    
+    min: function(figures) {
+        return figures.min;
+    },
+    
+    max: function(figures) {
+        return figures.max;
+    },
+    
+    count: function(figures) {
+        return figures.leaves;
+    }
+    
+}
+
+/**
+ * Compares two strings naturally, i.e. runs of digits as numbers ("Item2" precedes "Item10").
+ * 
+ * Used where Intl.Collator isn't available, so letters are compared by their codes.
+ * 
+ * @private
+ * @static
+ * @param {String} x A string to compare.
+ * @param {String} y A string to compare.
+ * @param {String} [sensitivity] "case" or "variant" to tell the case apart; case-insensitive otherwise.
+ * @returns {Integer} -1 or 0 or 1
+ */
+
+TreeModel._naturalCompare = function(x, y, sensitivity) {
+    
+    if (!(sensitivity in {'case': 1, 'variant': 1})) {
+        x = x.toLowerCase();
+        y = y.toLowerCase();
+    }
+    
+    var xChunks = x.match(/\d+|\D+/g);
+    var yChunks = y.match(/\d+|\D+/g);
+    
+    for (var i = 0; i < xChunks.length && i < yChunks.length; i++) {
+        
+        var a = xChunks[i];
+        var b = yChunks[i];
+        
+        if (a == b) {
+            continue;
+        }
+        
+        // Numbers of any length are compared without parsing them:
+        // the longer one (without leading zeros) is the greater one
+        if (/^\d/.test(a) && /^\d/.test(b)) {
+            
+            a = a.replace(/^0+/, '');
+            b = b.replace(/^0+/, '');
+            
+            if (a.length != b.length) {
+                return (a.length < b.length) ? -1 : 1;
+            }
+            
+            if (a == b) {
+                continue;
+            }
+            
+        }
+        
+        return (a < b) ? -1 : 1;
+    }
+    
+    return TreeModel._sign(xChunks.length - yChunks.length);
+}
+
+/**
+ * Reduces a comparison result to -1, 0 or 1.
+ * 
+ * @private
+ * @static
+ * @param {Number} result A comparison result (NaN is taken as 0).
+ * @returns {Integer} -1 or 0 or 1
+ */
+
+TreeModel._sign = function(result) {
+    
+    return (result < 0) ? -1 : (result > 0) ? 1 : 0;
+    
+}
+
+/**
+ * Converts a cell value into a number.
+ * 
+ * @private
+ * @static
+ * @param {Mixed} value A number or a numeric string.
+ * @returns {Number|Null} The number; Null if the value is empty or not numeric.
+ */
+
+TreeModel._toNumber = function(value) {
+    
+    if (value == null || value === '' || typeof value == 'boolean') {
+        return null;
+    }
+    
+    var number = Number(value);
+    
+    return isFinite(number) ? number : null;
+}
+
+/**
+ * Converts a cell value into a timestamp.
+ * 
+ * Dates without time (e.g. "2013-05-01") are taken as local midnight, not as UTC.
+ * 
+ * @private
+ * @static
+ * @param {Mixed} value A timestamp in milliseconds or a date string.
+ * @returns {Number|Null} The timestamp; Null if the value is empty or not a date.
+ */
+
+TreeModel._toTimestamp = function(value) {
+    
+    if (typeof value == 'number') {
+        return isFinite(value) ? value : null;
+    }
+    
+    if (typeof value != 'string' || value === '') {
+        return null;
+    }
+    
+    var parts = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    var timestamp = parts
+        ?    new Date(+parts[1], parts[2] - 1, +parts[3]).getTime()
+        :    Date.parse(value);
+    
+    return isFinite(timestamp) ? timestamp : null;
+}
+
+/* ---------------------------------------------------- ERRORS ---------------------------------------------------- */
+
+/**
+ * Creates a new TreeJSError object.
+ * 
+ * Errors are reported to .onError() (and to the "error" subscribers), and thrown in strict mode.
+ * The code is stable, so callers don't have to match the message:
+ *  - INVALID_ARGUMENT - an argument of a wrong type or value
+ *  - INVALID_TEMPLATE - the template is invalid or lacks a required setting
+ *  - INVALID_DATASET - a dataset or node data is invalid
+ *  - INVALID_NODE_ID - a node ID is not a valid string
+ *  - INVALID_VALUE - a cell value of an unsupported type
+ *  - INVALID_SORT_ORDER - a sort order other than "asc" or "desc"
+ *  - INVALID_STATE - the method can't be called in the current state
+ *  - NODE_NOT_FOUND - the node doesn't exist
+ *  - NODE_EXISTS - a node with the same ID already exists
+ *  - PARENT_MISSING - the parent folder of a node doesn't exist
+ *  - COLUMN_NOT_FOUND - the column doesn't exist in the template
+ *  - NOT_A_FOLDER - the node is a leaf, but a folder is required
+ *  - NOT_A_LAZY_FOLDER - the folder isn't marked with "__lazy"
+ *  - LOAD_FAILED - lazily loaded children have failed to load
+ *  - STORAGE_FAILURE - the view state has failed to be saved or loaded
+ *  - DOM_FAILURE - the browser has failed to render the tree
+ *  - OPERATION_FAILED - a part of a compound operation has failed
+ * 
+ * @constructor
+ * @param {String} code A stable error code, e.g. "NODE_NOT_FOUND".
+ * @param {String} message A human-readable description.
+ * @param {String} method A name of the method which has failed.
+ * @param {Arguments|Array} [args] Arguments the method has been called with.
+ * @param {Mixed} [cause] An underlying exception (if any).
+ * @returns {Void}
+ */
+
+function TreeJSError(code, message, method, args, cause) {
+    
+    this.code = code;
+    this.message = message;
+    this.method = method;
+    this.args = Array.prototype.slice.call(args || [], 0);
+    this.cause = cause;
+    
+    // Keep the stack trace where available:
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, TreeJSError);
+    }
+    
+}
+
+TreeJSError.prototype = new Error();
+TreeJSError.prototype.constructor = TreeJSError;
+TreeJSError.prototype.name = 'TreeJSError';
+
+// Make the model available to CommonJS environments (Node, bundlers):
+if (typeof module == 'object' && module && module.exports) {
+    module.exports = TreeModel;
+    module.exports.TreeJSError = TreeJSError;
+}
\ No newline at end of file
@@ -12,18 +12,24 @@ var template = {
 		status: {
 			title: 'State',
 			defaultValue: 'Idle',
-			noescape: true
+			noEscape: true
 		},
 		first: {
 			title: 'First',
+			type: 'number',
+			aggregate: 'sum',
 			defaultValue : '0'
 		},
 		second: {
 			title: 'Second',
+			type: 'number',
+			aggregate: 'sum',
 			defaultValue: '0'
 		},
 		third: {
 			title: 'Third',
+			type: 'number',
+			aggregate: 'sum',
 			defaultValue: '0'
 		},
 		description: {